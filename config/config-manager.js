@@ -1,6 +1,33 @@
 const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs');
+const { logger } = require('../src/utils/logger');
+
+// Fallback signing secrets for development; refused in production
+const DEV_JWT_SECRET = 'change_me';
+const DEV_JWT_REFRESH_SECRET = 'change_me_refresh';
+const PLACEHOLDER_SECRETS = [DEV_JWT_SECRET, DEV_JWT_REFRESH_SECRET, 'secret', 'changeme'];
+
+const JWT_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+
+// Endpoints of the built-in social login providers
+const OAUTH_PRESETS = {
+  google: {
+    authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+    scope: 'openid email profile',
+    profile: 'oidc'
+  },
+  github: {
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userInfoUrl: 'https://api.github.com/user',
+    emailsUrl: 'https://api.github.com/user/emails',
+    scope: 'read:user user:email',
+    profile: 'github'
+  }
+};
 
 /**
  * Configuration Manager
@@ -28,9 +55,8 @@ class ConfigManager {
 
       // Check if config file exists
       if (!fs.existsSync(configPath)) {
-        console.warn(`⚠️  Config file not found: ${configFile}`);
-        console.warn(`📂 Looking in: ${this.configDir}`);
-        console.warn(`🔄 Falling back to development config`);
+        logger.warn(`⚠️  Config file not found: ${configFile}`, { directory: this.configDir });
+        logger.warn('🔄 Falling back to development config');
         
         // Fallback to development
         const fallbackPath = path.join(this.configDir, '.env.development');
@@ -54,11 +80,10 @@ class ConfigManager {
         loadedAt: new Date().toISOString()
       };
 
-      console.log(`✅ Loaded config: ${configFile}`);
-      console.log(`📂 From: ${configPath}`);
+      logger.info(`✅ Loaded config: ${configFile}`, { path: configPath });
       
     } catch (error) {
-      console.error('❌ Failed to load configuration:', error.message);
+      logger.error('❌ Failed to load configuration', { error });
       throw error;
     }
   }
@@ -81,7 +106,7 @@ class ConfigManager {
       
       return files;
     } catch (error) {
-      console.error('Failed to list config files:', error.message);
+      logger.error('Failed to list config files', { error });
       return [];
     }
   }
@@ -100,14 +125,222 @@ class ConfigManager {
     }
 
     if (missing.length > 0) {
-      console.error('❌ Missing required environment variables:', missing);
+      logger.error('❌ Missing required environment variables', { missing });
       return false;
     }
 
-    console.log('✅ All required environment variables are set');
+    const insecure = this.findInsecureSecrets();
+    if (insecure.length > 0) {
+      if (process.env.NODE_ENV === 'production') {
+        logger.error('❌ Refusing to start with default or placeholder secrets', { insecure });
+        return false;
+      }
+      logger.warn('⚠️  Using default or placeholder secrets (refused in production)', { insecure });
+    }
+
+    let jwtConfig;
+    try {
+      jwtConfig = this.getJwtConfig();
+    } catch (error) {
+      logger.error(`❌ ${error.message}`);
+      return false;
+    }
+
+    const { algorithm, signingKeys } = jwtConfig;
+    if (!JWT_ALGORITHMS.includes(algorithm)) {
+      logger.error('❌ Unsupported JWT_ALGORITHM', { algorithm, supported: JWT_ALGORITHMS });
+      return false;
+    }
+    if (algorithm !== 'HS256' && signingKeys.length === 0) {
+      logger.error(`❌ JWT_ALGORITHM=${algorithm} needs at least one key in JWT_SIGNING_KEYS`);
+      return false;
+    }
+
+    logger.info('✅ All required environment variables are set');
     return true;
   }
 
+  /**
+   * Read an integer setting, falling back when unset or invalid
+   */
+  getNumber(key, fallback) {
+    const value = parseInt(process.env[key], 10);
+    return Number.isNaN(value) ? fallback : value;
+  }
+
+  /**
+   * Failed-login lockout thresholds
+   * Each failure below maxAttempts blocks the account for an exponentially
+   * growing delay (baseDelayMs * 2^(failures - 1), capped at maxDelayMs);
+   * reaching maxAttempts locks it for lockDurationMs.
+   */
+  getLoginLockoutPolicy() {
+    return {
+      maxAttempts: this.getNumber('LOGIN_MAX_ATTEMPTS', 5),
+      baseDelayMs: this.getNumber('LOGIN_BACKOFF_BASE_MS', 1000),
+      maxDelayMs: this.getNumber('LOGIN_BACKOFF_MAX_MS', 60 * 1000),
+      lockDurationMs: this.getNumber('LOGIN_LOCK_DURATION_MINUTES', 15) * 60 * 1000
+    };
+  }
+
+  /**
+   * Signing secrets that are unset, a development fallback or a placeholder
+   */
+  findInsecureSecrets() {
+    return ['JWT_SECRET', 'JWT_REFRESH_SECRET'].filter((key) => {
+      const value = process.env[key];
+      return !value || PLACEHOLDER_SECRETS.includes(value.toLowerCase());
+    });
+  }
+
+  /**
+   * Read a list of kid=path pairs (comma-separated), e.g.
+   * JWT_SIGNING_KEYS=2024-06=keys/2024-06.pem,2024-01=keys/2024-01.pem
+   */
+  getKeyList(key) {
+    return (process.env[key] || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const separator = entry.indexOf('=');
+        if (separator <= 0) {
+          throw new Error(`${key}: expected kid=path, got "${entry}"`);
+        }
+        return { kid: entry.slice(0, separator).trim(), path: entry.slice(separator + 1).trim() };
+      });
+  }
+
+  /**
+   * Token signing settings
+   * Access tokens are signed with JWT_ALGORITHM: HS256 with JWT_SECRET
+   * (default), or RS256/ES256 with the PEM private keys in JWT_SIGNING_KEYS.
+   * The first signing key signs new tokens; the others, and the public keys
+   * in JWT_VERIFICATION_KEYS, only verify tokens issued before a rotation.
+   * Refresh and single-purpose tokens never leave this service and stay on
+   * the HMAC secrets.
+   */
+  getJwtConfig() {
+    return {
+      algorithm: (process.env.JWT_ALGORITHM || 'HS256').toUpperCase(),
+      secret: process.env.JWT_SECRET || DEV_JWT_SECRET,
+      refreshSecret: process.env.JWT_REFRESH_SECRET || DEV_JWT_REFRESH_SECRET,
+      signingKeys: this.getKeyList('JWT_SIGNING_KEYS'),
+      verificationKeys: this.getKeyList('JWT_VERIFICATION_KEYS'),
+      issuer: process.env.JWT_ISSUER || 'auth-backend',
+      audience: process.env.JWT_AUDIENCE || 'auth-backend'
+    };
+  }
+
+  /**
+   * Dates announced for the legacy URL aliases (/api/auth/*, /api/*, /user/*)
+   * in their Deprecation and Sunset headers; /api/v1 is the canonical API
+   */
+  getLegacyRoutesPolicy() {
+    return {
+      deprecatedAt: new Date(process.env.LEGACY_ROUTES_DEPRECATED_AT || '2026-10-19T00:00:00Z'),
+      sunsetAt: new Date(process.env.LEGACY_ROUTES_SUNSET || '2027-04-30T00:00:00Z')
+    };
+  }
+
+  /**
+   * OAuth2 / OpenID Connect providers for social login, enabled by name in
+   * OAUTH_PROVIDERS (comma-separated). google and github come with their
+   * endpoints; any setting can be set or overridden per provider with
+   * OAUTH_<NAME>_<SETTING> (CLIENT_ID, CLIENT_SECRET, AUTHORIZATION_URL,
+   * TOKEN_URL, USERINFO_URL, EMAILS_URL, SCOPE, PROFILE), e.g. to point a
+   * provider at a mock IdP. Callbacks are registered at
+   * OAUTH_REDIRECT_BASE_URL + /api/v1/auth/oauth/<name>/callback; they send
+   * the browser on to OAUTH_FRONTEND_REDIRECT_URL (default FRONTEND_ORIGIN +
+   * /oauth/callback).
+   */
+  getOAuthConfig() {
+    const providers = {};
+    const names = (process.env.OAUTH_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    for (const name of names) {
+      const preset = OAUTH_PRESETS[name] || {};
+      const setting = (key, fallback) => process.env[`OAUTH_${name.toUpperCase().replace(/-/g, '_')}_${key}`] || fallback;
+
+      providers[name] = {
+        name,
+        clientId: setting('CLIENT_ID'),
+        clientSecret: setting('CLIENT_SECRET'),
+        authorizationUrl: setting('AUTHORIZATION_URL', preset.authorizationUrl),
+        tokenUrl: setting('TOKEN_URL', preset.tokenUrl),
+        userInfoUrl: setting('USERINFO_URL', preset.userInfoUrl),
+        emailsUrl: setting('EMAILS_URL', preset.emailsUrl),
+        scope: setting('SCOPE', preset.scope || 'openid email'),
+        profile: setting('PROFILE', preset.profile || 'oidc')
+      };
+    }
+
+    return {
+      providers,
+      redirectBaseUrl: process.env.OAUTH_REDIRECT_BASE_URL || `http://localhost:${this.getNumber('PORT', 4000)}`,
+      frontendRedirectUrl: process.env.OAUTH_FRONTEND_REDIRECT_URL ||
+        `${process.env.FRONTEND_ORIGIN || 'http://localhost:3000'}/oauth/callback`
+    };
+  }
+
+  /**
+   * How browsers receive tokens: 'bearer' (default; tokens in the response
+   * body, sent back in the Authorization header) or 'cookie' (httpOnly
+   * cookies plus a CSRF token). Bearer clients keep working in cookie mode.
+   */
+  getTokenTransport() {
+    return process.env.TOKEN_TRANSPORT === 'cookie' ? 'cookie' : 'bearer';
+  }
+
+  /**
+   * Storage backend for users, sessions and tokens: 'postgres' (default) or
+   * 'memory' (no database needed; data is lost on restart)
+   */
+  getDataStore() {
+    return process.env.DATA_STORE || 'postgres';
+  }
+
+  /**
+   * Emails whose accounts are granted the admin role on startup
+   */
+  getBootstrapAdminEmails() {
+    return (process.env.ADMIN_EMAILS || '')
+      .split(',')
+      .map(email => email.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Settings the Express app and HTTP server are built from
+   * (see createApp in app.js and startServer in server.js)
+   */
+  getAppConfig() {
+    const frontendOrigin = process.env.FRONTEND_ORIGIN || 'http://localhost:3000';
+
+    return {
+      isDev: process.env.NODE_ENV !== 'production',
+      port: this.getNumber('PORT', 4000),
+      frontendOrigin,
+      // Allow multiple origins for CORS (development + production)
+      allowedOrigins: [
+        frontendOrigin,
+        'http://localhost:3000',
+        'https://ex-awad-registration-fe.onrender.com'
+      ],
+      dataStore: this.getDataStore(),
+      rateLimitStore: process.env.RATE_LIMIT_STORE || 'memory',
+      requireMigrations: process.env.REQUIRE_MIGRATIONS === 'true',
+      tokenTransport: this.getTokenTransport(),
+      oauth: this.getOAuthConfig(),
+      shutdownTimeoutMs: this.getNumber('SHUTDOWN_TIMEOUT_MS', 10 * 1000),
+      legacyRoutes: this.getLegacyRoutesPolicy(),
+      jwt: this.getJwtConfig()
+    };
+  }
+
   /**
    * Find available port starting from preferred port
    */
@@ -143,11 +376,21 @@ class ConfigManager {
       frontendOrigin: process.env.FRONTEND_ORIGIN,
       databaseConfigured: !!process.env.DATABASE_URL || !!process.env.DB_HOST,
       sslEnabled: process.env.DB_SSL === 'true',
-      cookieDomain: process.env.COOKIE_DOMAIN || 'not set'
+      cookieDomain: process.env.COOKIE_DOMAIN || 'not set',
+      requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+      mailTransport: process.env.MAIL_TRANSPORT || 'console',
+      loginMaxAttempts: this.getLoginLockoutPolicy().maxAttempts,
+      dataStore: this.getDataStore(),
+      rateLimitStore: process.env.RATE_LIMIT_STORE || 'memory',
+      requireMigrations: process.env.REQUIRE_MIGRATIONS === 'true',
+      logLevel: process.env.LOG_LEVEL || 'default',
+      logFormat: process.env.LOG_FORMAT || 'default',
+      jwtAlgorithm: process.env.JWT_ALGORITHM || 'HS256',
+      tokenTransport: this.getTokenTransport(),
+      oauthProviders: Object.keys(this.getOAuthConfig().providers)
     };
 
-    console.log('📋 Current Configuration:');
-    console.table(config);
+    logger.info('📋 Current Configuration', config);
   }
 }
 
@@ -1,3 +1,41 @@
-// Main entry point - starts the Express app
-// This ensures compatibility with both direct execution and npm start
-require('./app.js');
+// Main entry point - loads configuration and starts the HTTP server
+// (the app itself is built by createApp in app.js, the server by server.js)
+const configManager = require('./config/config-manager');
+const { logger } = require('./src/utils/logger');
+
+// Initialize configuration
+const environment = process.argv.includes('--prod') ? 'production' :
+                   process.argv.includes('--local') ? 'local' : 'auto';
+configManager.loadConfig(environment);
+
+// Validate configuration
+if (!configManager.validateConfig()) {
+  process.exit(1);
+}
+
+// Display configuration (safe - no secrets)
+configManager.displayConfig();
+
+const { startServer } = require('./server');
+
+startServer()
+  .then(({ close }) => {
+    // Graceful shutdown: finish in-flight requests, then close the database pool
+    const shutdown = (signal) => {
+      logger.info(`${signal} received. Shutting down gracefully...`);
+      close().then(
+        () => process.exit(0),
+        (err) => {
+          logger.error('Graceful shutdown failed', { error: err });
+          process.exit(1);
+        }
+      );
+    };
+
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
+  })
+  .catch((err) => {
+    logger.error('Failed to start server', { error: err });
+    process.exit(1);
+  });
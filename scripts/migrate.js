@@ -0,0 +1,73 @@
+/**
+ * Migration CLI
+ *   node scripts/migrate.js up              apply pending migrations
+ *   node scripts/migrate.js down [steps]    roll back the last migration(s)
+ *   node scripts/migrate.js status          list applied and pending migrations
+ * Pass --prod or --local to pick the environment, as with the server.
+ */
+
+const configManager = require('../config/config-manager');
+
+const environment = process.argv.includes('--prod') ? 'production' :
+                   process.argv.includes('--local') ? 'local' : 'auto';
+configManager.loadConfig(environment);
+
+// Import after config is loaded so the pool picks up the database settings
+const db = require('../db');
+const { migrationService } = require('../src/services/MigrationService');
+
+const label = (migration) => `${migration.version}_${migration.name}`;
+
+const commands = {
+  async up() {
+    const applied = await migrationService.migrate();
+    if (applied.length === 0) {
+      console.log('✅ Database is up to date');
+      return;
+    }
+    applied.forEach(migration => console.log(`⬆️  Applied ${label(migration)}`));
+    console.log(`✅ Applied ${applied.length} migration(s)`);
+  },
+
+  async down(steps = '1') {
+    const count = parseInt(steps, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid number of steps: ${steps}`);
+    }
+
+    const reverted = await migrationService.rollback({ steps: count });
+    if (reverted.length === 0) {
+      console.log('Nothing to roll back');
+      return;
+    }
+    reverted.forEach(migration => console.log(`⬇️  Reverted ${label(migration)}`));
+  },
+
+  async status() {
+    const { applied, pending, missing } = await migrationService.status();
+
+    applied.forEach(migration => {
+      const note = migration.modified ? ' (modified since applied)' : '';
+      console.log(`✅ ${label(migration)}${note}`);
+    });
+    pending.forEach(migration => console.log(`⏳ ${label(migration)} (pending)`));
+    missing.forEach(migration => console.log(`❓ ${label(migration)} (applied, file missing)`));
+
+    console.log(`${applied.length} applied, ${pending.length} pending`);
+  }
+};
+
+const [command = 'status', ...args] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+if (!commands[command]) {
+  console.error(`Unknown command: ${command}. Use one of: ${Object.keys(commands).join(', ')}`);
+  process.exit(1);
+}
+
+commands[command](...args)
+  .then(() => db.pool.end())
+  .catch(async (error) => {
+    console.error('❌ Migration failed:', error.message);
+    await db.pool.end().catch(() => {});
+    process.exit(1);
+  });
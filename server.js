@@ -0,0 +1,169 @@
+const configManager = require('./config/config-manager');
+const { createApp } = require('./app');
+const { logger: defaultLogger } = require('./src/utils/logger');
+const { runInAppScope } = require('./src/utils/appScope');
+
+// Fail if the database schema is behind the migration files
+async function ensureMigrationsApplied(db, logger) {
+  const { MigrationService } = require('./src/services/MigrationService');
+  const { pending } = await new MigrationService({ pool: db.pool }).status({ readOnly: true });
+
+  if (pending.length > 0) {
+    logger.error(`❌ ${pending.length} pending migration(s): ${pending.map(m => `${m.version}_${m.name}`).join(', ')}`);
+    logger.error('Run `npm run migrate` before starting the server.');
+    throw new Error('Database migrations are pending');
+  }
+
+  logger.info('✅ Database migrations: up to date');
+}
+
+// Environment-aware DB connectivity check
+async function checkDatabase({ config, db, logger, requireMigrations }) {
+  const { roleService } = require('./src/services/RoleService');
+
+  if (config.dataStore === 'memory') {
+    // Nothing to connect to or migrate; accounts live until the process exits
+    logger.info('🧠 Data store: in-memory (no database, data is lost on restart)');
+    return;
+  }
+
+  try {
+    await db.query('SELECT 1');
+    logger.info('✅ Postgres connection: OK');
+  } catch (err) {
+    if (!config.isDev) {
+      // Production mode: require DB connection
+      logger.error('❌ Postgres connection: FAILED');
+      logger.error('Backend will exit. Please check your DB settings in .env');
+      throw err;
+    }
+    // Pending migrations cannot be ruled out without a database
+    if (requireMigrations) {
+      logger.error('❌ Postgres connection: FAILED (required to check migrations)');
+      throw err;
+    }
+    // Development mode: don't fail if the database is not available
+    logger.warn('⚠️  Postgres connection: FAILED (continuing in dev mode)');
+    logger.warn('Database operations will fail. Set up local DB or use production env.');
+    return;
+  }
+
+  if (requireMigrations) {
+    await ensureMigrationsApplied(db, logger);
+  }
+  await roleService.seedAdminsFromConfig();
+}
+
+// Wait for the HTTP server to bind
+function listen(app, port) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port);
+    server.once('listening', () => resolve(server));
+    server.once('error', reject);
+  });
+}
+
+// Stop accepting connections and wait for in-flight requests to finish;
+// connections still open after timeoutMs are destroyed
+function closeServer(server, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => server.closeAllConnections(), timeoutMs);
+    timer.unref();
+
+    server.close((error) => {
+      clearTimeout(timer);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+
+    // Keep-alive connections with no request in progress would hold close() open
+    server.closeIdleConnections();
+  });
+}
+
+function printBanner({ config, logger, port }) {
+  logger.info(`🚀 Auth backend running on http://localhost:${port}`);
+  logger.info(`📦 Environment: ${config.isDev ? 'development' : 'production'}`);
+  logger.info(`🌐 CORS enabled for: ${config.frontendOrigin}`);
+  logger.info(`🔐 Token transport: ${config.tokenTransport === 'cookie' ? 'httpOnly cookies + CSRF token' : 'bearer'}`);
+  logger.info(`🏗️  Architecture: MVC pattern`);
+
+  if (port !== config.port) {
+    logger.info(`📌 Note: Using port ${port} instead of configured port ${config.port}`);
+  }
+
+  // Environment-specific deployment notes
+  if (!config.isDev) {
+    logger.info('⚠️  PRODUCTION MODE: This should be deployed to render.com, not run locally!');
+    logger.info('🌍 Production URL should be: https://ex-awad-registration-be.onrender.com');
+    logger.info('💡 For local development, use: npm run dev');
+  } else {
+    logger.info('🏠 DEVELOPMENT MODE: Perfect for local testing');
+    logger.info('💡 Frontend should connect to: http://localhost:' + port);
+    logger.info(`📚 API docs: http://localhost:${port}/api/v1/docs`);
+  }
+}
+
+/**
+ * Build the app, check the database and start listening.
+ * Options (config, db and logger are passed on to createApp):
+ *   requireMigrations - refuse to boot while migrations are pending
+ *                       (default: REQUIRE_MIGRATIONS=true)
+ * Resolves to { app, server, close }. close() drains HTTP connections
+ * (up to SHUTDOWN_TIMEOUT_MS) and then closes the database pool; calling it
+ * again returns the same promise.
+ */
+async function startServer({
+  config = configManager.getAppConfig(),
+  db = require('./db'),
+  logger = defaultLogger,
+  requireMigrations = config.requireMigrations
+} = {}) {
+  logger.debug(`Starting server in ${config.isDev ? 'development' : 'production'} mode...`);
+
+  const app = createApp({ config, db, logger });
+  // Startup tasks (admin seeding) work on the app's store
+  await runInAppScope(app.locals.scope, () => checkDatabase({ config, db, logger, requireMigrations }));
+
+  // Find available port (useful for development)
+  let port = config.port;
+  if (config.isDev) {
+    port = await configManager.findAvailablePort(config.port);
+    if (port !== config.port) {
+      logger.debug(`⚠️  Port ${config.port} is busy, using port ${port} instead`);
+    }
+  }
+
+  const server = await listen(app, port);
+  printBanner({ config, logger, port: server.address().port });
+
+  let closing = null;
+
+  // During shutdown, drop keep-alive connections as soon as their current
+  // request has been answered instead of waiting for the client to hang up
+  server.on('request', (req, res) => {
+    res.once('finish', () => {
+      if (closing) {
+        setImmediate(() => server.closeIdleConnections());
+      }
+    });
+  });
+
+  const close = () => {
+    if (!closing) {
+      closing = closeServer(server, config.shutdownTimeoutMs)
+        .then(() => db.pool.end())
+        .then(() => logger.info('👋 Server closed'));
+    }
+    return closing;
+  };
+
+  return { app, server, close };
+}
+
+module.exports = {
+  startServer
+};
@@ -1,4 +1,5 @@
--- Create users table
+-- Baseline: the users table as originally defined in sql/schema.sql.
+-- IF NOT EXISTS lets databases created from that file adopt migrations.
 CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
   email VARCHAR(255) UNIQUE NOT NULL,
@@ -0,0 +1,4 @@
+-- Per-account brute-force protection: consecutive failures and the time until
+-- which login attempts are refused
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
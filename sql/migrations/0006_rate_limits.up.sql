@@ -0,0 +1,6 @@
+-- Fixed-window rate limit counters for RATE_LIMIT_STORE=postgres
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key VARCHAR(255) PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
@@ -0,0 +1,6 @@
+-- Set by administrators: a disabled account cannot log in; a forced reset
+-- blocks login until the password is reset via the emailed link
+ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_reset_required_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
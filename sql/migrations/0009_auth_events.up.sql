@@ -0,0 +1,30 @@
+-- Append-only audit log of security-relevant events. user_id is the account
+-- the event concerns and actor_id who performed it (they differ for admin
+-- actions). No foreign keys so history survives account deletion.
+CREATE TABLE IF NOT EXISTS auth_events (
+  id BIGSERIAL PRIMARY KEY,
+  event_type VARCHAR(50) NOT NULL,
+  outcome VARCHAR(20) NOT NULL,
+  reason VARCHAR(64),
+  user_id INTEGER,
+  actor_id INTEGER,
+  email VARCHAR(255),
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_events_user_id_created_at ON auth_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auth_events_created_at ON auth_events(created_at);
+
+CREATE OR REPLACE FUNCTION auth_events_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'auth_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS auth_events_append_only ON auth_events;
+CREATE TRIGGER auth_events_append_only
+  BEFORE UPDATE OR DELETE ON auth_events
+  FOR EACH ROW EXECUTE FUNCTION auth_events_append_only();
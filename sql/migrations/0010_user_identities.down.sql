@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS user_identities;
+-- '!' is not a bcrypt hash, so these accounts still cannot log in with a password
+UPDATE users SET password = '!' WHERE password IS NULL;
+ALTER TABLE users ALTER COLUMN password SET NOT NULL;
@@ -0,0 +1,18 @@
+-- External identities (OAuth2 / OpenID Connect "sign in with ...") linked to
+-- local accounts. A provider subject belongs to exactly one user.
+CREATE TABLE IF NOT EXISTS user_identities (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (provider, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+
+-- Accounts created through a provider have no password until they set one
+-- with the password reset flow
+ALTER TABLE users ALTER COLUMN password DROP NOT NULL;
@@ -0,0 +1,13 @@
+-- Single-use codes that hand a finished social login to the frontend, which
+-- exchanges them for tokens (POST /api/v1/auth/oauth/exchange). Stored hashed.
+CREATE TABLE IF NOT EXISTS oauth_login_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL,
+  code_hash CHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_login_codes_user_id ON oauth_login_codes(user_id);
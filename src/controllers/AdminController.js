@@ -0,0 +1,87 @@
+const AdminService = require('../services/AdminService');
+const { getClientContext } = require('../utils/userAgent');
+
+class AdminController {
+  constructor() {
+    this.adminService = new AdminService();
+  }
+
+  // List users with pagination, search, sort and date filters
+  listUsers = async (req, res, next) => {
+    try {
+      const result = await this.adminService.listUsers(req.query);
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // View a single user
+  getUser = async (req, res, next) => {
+    try {
+      const result = await this.adminService.getUser(req.params.id);
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Disable a user
+  disableUser = async (req, res, next) => {
+    try {
+      const result = await this.adminService.setDisabled(req.user, req.params.id, true, getClientContext(req));
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Re-enable a user
+  enableUser = async (req, res, next) => {
+    try {
+      const result = await this.adminService.setDisabled(req.user, req.params.id, false, getClientContext(req));
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Force a password reset
+  forcePasswordReset = async (req, res, next) => {
+    try {
+      const result = await this.adminService.forcePasswordReset(req.user, req.params.id, getClientContext(req));
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Delete a user
+  deleteUser = async (req, res, next) => {
+    try {
+      const result = await this.adminService.deleteUser(req.user, req.params.id, getClientContext(req));
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Query the audit log
+  listEvents = async (req, res, next) => {
+    try {
+      const result = await this.adminService.listEvents(req.query);
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = AdminController;
@@ -1,5 +1,15 @@
-const { AuthService, ValidationError, AuthenticationError, TokenExpiredError } = require('../services/AuthService');
-const { generateCookieOptions } = require('../utils/cookies');
+const { AuthService } = require('../services/AuthService');
+const { AppError, AuthenticationError, TokenExpiredError, ForbiddenError } = require('../utils/errors');
+const {
+  extractTokensFromCookies,
+  setAuthCookies,
+  clearAuthCookies,
+  issueCsrfToken,
+  setOAuthFlowCookie,
+  clearOAuthFlowCookie,
+  hasValidCsrfToken
+} = require('../utils/cookies');
+const { getClientContext } = require('../utils/userAgent');
 
 class AuthController {
   constructor() {
@@ -7,70 +17,217 @@ class AuthController {
   }
 
   // Register new user
-  register = async (req, res) => {
+  register = async (req, res, next) => {
     try {
-      const result = await this.authService.register(req.body);
+      const result = await this.authService.register(req.body, getClientContext(req));
       
       res.status(201).json(result);
     } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: error.errors
-        });
-      }
-      
-      console.error('Registration controller error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Registration failed. Please try again.',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      next(error);
     }
   };
 
   // Login user
-  login = async (req, res) => {
+  login = async (req, res, next) => {
     try {
-      const result = await this.authService.login(req.body);
+      const result = await this.authService.login(req.body, getClientContext(req));
       
-      // Return tokens in response body as per requirements
-      // Access token should be stored in memory, refresh token in localStorage
-      res.json({
-        success: result.success,
-        user: result.user,
-        accessToken: result.accessToken,
-        refreshToken: result.refreshToken,
-        message: 'Login successful'
-      });
-    } catch (error) {
-      if (error instanceof ValidationError) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: error.errors
-        });
+      if (result.twoFactorRequired) {
+        return this.sendTwoFactorChallenge(res, result);
       }
       
-      if (error instanceof AuthenticationError) {
-        return res.status(401).json({
-          success: false,
-          message: error.message
-        });
+      this.sendTokens(res, result, { cookies: this.usesCookies(req), message: 'Login successful' });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Start social login: remember the flow in a short-lived cookie and send
+  // the browser to the provider
+  oauthStart = (req, res, next) => {
+    try {
+      const { url, flow, maxAgeMs } = this.authService.startOAuthLogin(req.params.provider);
+
+      setOAuthFlowCookie(res, flow, maxAgeMs);
+      res.redirect(url);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Provider redirect back to us. The browser navigated here, so it goes on
+  // to the frontend: signed in with cookies in cookie mode, otherwise with a
+  // one-time code for POST /oauth/exchange (also while a second factor is
+  // pending), or with the error code when the sign-in failed.
+  oauthCallback = async (req, res, next) => {
+    const { oauthService } = this.authService;
+
+    try {
+      const { oauthFlow } = extractTokensFromCookies(req);
+      // The flow is single-use, whatever the outcome
+      clearOAuthFlowCookie(res);
+
+      const result = await this.authService.completeOAuthLogin(
+        req.params.provider,
+        req.query,
+        oauthFlow,
+        getClientContext(req),
+        { tokens: this.usesCookies(req) }
+      );
+
+      if (result.code) {
+        return res.redirect(oauthService.getFrontendRedirectUrl({ code: result.code }));
       }
+
+      setAuthCookies(res, result);
+      res.redirect(oauthService.getFrontendRedirectUrl());
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        return next(error);
+      }
+
+      res.redirect(oauthService.getFrontendRedirectUrl({ error: error.code }));
+    }
+  };
+
+  // Redeem the one-time code of a social login redirect; answers like login
+  oauthExchange = async (req, res, next) => {
+    try {
+      const result = await this.authService.exchangeOAuthCode(req.body.code, getClientContext(req));
+
+      if (result.twoFactorRequired) {
+        return this.sendTwoFactorChallenge(res, result);
+      }
+
+      this.sendTokens(res, result, { cookies: this.usesCookies(req), message: 'Login successful' });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Verify email address from the emailed token
+  verifyEmail = async (req, res, next) => {
+    try {
+      const result = await this.authService.verifyEmail(req.body.token, getClientContext(req));
       
-      console.error('Login controller error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Login failed. Please try again.',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Resend verification email
+  resendVerification = async (req, res, next) => {
+    try {
+      const result = await this.authService.resendVerification(req.body);
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Request a password reset email
+  forgotPassword = async (req, res, next) => {
+    try {
+      const result = await this.authService.forgotPassword(req.body, getClientContext(req));
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Set a new password using a reset token
+  resetPassword = async (req, res, next) => {
+    try {
+      const result = await this.authService.resetPassword(req.body, getClientContext(req));
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Change password of the current user
+  changePassword = async (req, res, next) => {
+    try {
+      const result = await this.authService.changePassword(req.user, req.body, req.auth.familyId, getClientContext(req));
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Start changing the current user's email
+  changeEmail = async (req, res, next) => {
+    try {
+      const result = await this.authService.requestEmailChange(req.user, req.body, req.auth.familyId, getClientContext(req));
+      
+      res.status(202).json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Confirm a pending email change from the emailed token
+  confirmEmailChange = async (req, res, next) => {
+    try {
+      const result = await this.authService.confirmEmailChange(req.body.token, getClientContext(req));
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Complete login with a two-factor code
+  loginTwoFactor = async (req, res, next) => {
+    try {
+      const result = await this.authService.completeTwoFactorLogin(req.body, getClientContext(req));
+      
+      this.sendTokens(res, result, { cookies: this.usesCookies(req), message: 'Login successful' });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Start two-factor enrollment
+  enrollTwoFactor = async (req, res, next) => {
+    try {
+      const result = await this.authService.enrollTwoFactor(req.user);
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Confirm two-factor enrollment
+  confirmTwoFactor = async (req, res, next) => {
+    try {
+      const result = await this.authService.confirmTwoFactor(req.user, req.body, getClientContext(req));
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Disable two-factor authentication
+  disableTwoFactor = async (req, res, next) => {
+    try {
+      const result = await this.authService.disableTwoFactor(req.user, req.body, getClientContext(req));
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
     }
   };
 
   // Get current user profile
-  getProfile = async (req, res) => {
+  getProfile = async (req, res, next) => {
     try {
       // User is already attached to req by auth middleware
       const user = req.user;
@@ -80,83 +237,138 @@ class AuthController {
         user: user.toSafeObject()
       });
     } catch (error) {
-      console.error('Get profile controller error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to get user profile',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      next(error);
+    }
+  };
+
+  // CSRF token of the auth cookies, for frontends on another site that
+  // cannot read the csrfToken cookie (e.g. after a page reload)
+  getCsrfToken = (req, res, next) => {
+    try {
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        success: true,
+        csrfToken: issueCsrfToken(req, res)
       });
+    } catch (error) {
+      next(error);
     }
   };
 
   // Refresh access token
-  refreshToken = async (req, res) => {
+  refreshToken = async (req, res, next) => {
     try {
-      const { refreshToken } = req.body; // Get from request body instead of cookies
+      // Bearer clients send the token in the body; browsers in cookie mode
+      // get it from the refresh cookie and answer with cookies again
+      const fromCookie = !req.body.refreshToken && this.usesCookies(req);
+      const refreshToken = fromCookie ? extractTokensFromCookies(req).refreshToken : req.body.refreshToken;
       
       if (!refreshToken) {
-        return res.status(401).json({
-          success: false,
-          message: 'Refresh token required'
-        });
+        return next(new AuthenticationError('Refresh token required', { code: 'NO_REFRESH_TOKEN' }));
+      }
+
+      if (fromCookie && !hasValidCsrfToken(req)) {
+        return next(new ForbiddenError('CSRF token missing or invalid', { code: 'CSRF_TOKEN_INVALID' }));
       }
       
-      const result = await this.authService.refreshAccessToken(refreshToken);
+      const result = await this.authService.refreshAccessToken(refreshToken, getClientContext(req));
       
-      res.json({
-        success: true,
-        accessToken: result.accessToken,
-        refreshToken: result.refreshToken, // Return new refresh token if rotation is implemented
-        message: 'Token refreshed successfully'
-      });
+      this.sendTokens(res, result, { cookies: fromCookie, message: 'Token refreshed successfully' });
     } catch (error) {
       if (error instanceof TokenExpiredError || error instanceof AuthenticationError) {
         // Clear cookies if refresh token is invalid/expired
-        this.clearAuthCookies(res);
+        clearAuthCookies(res);
         
-        return res.status(401).json({
-          success: false,
-          message: 'Session expired. Please login again.'
-        });
+        return next(new AuthenticationError('Session expired. Please login again.', { code: 'SESSION_EXPIRED' }));
       }
       
-      console.error('Refresh token controller error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to refresh token',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      next(error);
     }
   };
 
   // Logout user
-  logout = async (req, res) => {
+  logout = async (req, res, next) => {
     try {
-      await this.authService.logout();
+      await this.authService.logout(req.user, {
+        refreshToken: req.body && req.body.refreshToken,
+        familyId: req.auth && req.auth.familyId
+      }, getClientContext(req));
       
       // Clear cookies
-      this.clearAuthCookies(res);
+      clearAuthCookies(res);
       
       res.json({
         success: true,
         message: 'Logged out successfully'
       });
     } catch (error) {
-      console.error('Logout controller error:', error);
-      
       // Even if there's an error, still clear cookies
-      this.clearAuthCookies(res);
+      clearAuthCookies(res);
+      
+      next(new AppError('Logout completed with warnings'));
+    }
+  };
+
+  // Logout from all devices
+  logoutAll = async (req, res, next) => {
+    try {
+      const result = await this.authService.logoutAll(req.user, getClientContext(req));
+      
+      // Clear cookies
+      clearAuthCookies(res);
+      
+      res.json({
+        success: true,
+        revokedSessions: result.revokedSessions,
+        message: 'Logged out from all devices'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // List active sessions of the current user
+  getSessions = async (req, res, next) => {
+    try {
+      const sessions = await this.authService.listSessions(req.user, req.auth.familyId);
+      
+      res.json({
+        success: true,
+        sessions
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Security history of the current user (logins, password changes, ...)
+  getActivity = async (req, res, next) => {
+    try {
+      const result = await this.authService.getActivity(req.user, req.query);
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Revoke a single session (sign out one device)
+  revokeSession = async (req, res, next) => {
+    try {
+      await this.authService.revokeSession(req.user, req.params.id, getClientContext(req));
       
-      res.status(500).json({
-        success: false,
-        message: 'Logout completed with warnings',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      res.json({
+        success: true,
+        current: req.params.id === req.auth.familyId,
+        message: 'Session revoked'
       });
+    } catch (error) {
+      next(error);
     }
   };
 
   // Verify token endpoint
-  verifyToken = async (req, res) => {
+  verifyToken = async (req, res, next) => {
     try {
       // If we reach here, token is valid (auth middleware passed)
       res.json({
@@ -165,29 +377,42 @@ class AuthController {
         user: req.user.toSafeObject()
       });
     } catch (error) {
-      console.error('Verify token controller error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to verify token',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      next(error);
     }
   };
 
-  // Helper method to clear authentication cookies
-  clearAuthCookies(res) {
-    const cookieOptions = generateCookieOptions();
-    
-    // Clear access token cookie
-    res.cookie('accessToken', '', {
-      ...cookieOptions,
-      maxAge: 0
+  // Cookie transport applies when enabled (TOKEN_TRANSPORT=cookie) unless the
+  // client asks for tokens in the body, as mobile apps do with
+  // `X-Token-Transport: bearer`
+  usesCookies(req) {
+    const { config } = req.app.locals;
+    return Boolean(config && config.tokenTransport === 'cookie') && req.get('X-Token-Transport') !== 'bearer';
+  }
+
+  // Second factor needed before tokens are issued
+  sendTwoFactorChallenge(res, result) {
+    res.json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: result.challengeToken,
+      message: 'Two-factor authentication required'
     });
-    
-    // Clear refresh token cookie
-    res.cookie('refreshToken', '', {
-      ...cookieOptions,
-      maxAge: 0
+  }
+
+  // Answer with a new token pair: in httpOnly cookies (the body carries the
+  // CSRF token instead) or in the body for bearer clients
+  sendTokens(res, result, { cookies, message }) {
+    if (cookies) {
+      const csrfToken = setAuthCookies(res, result);
+      return res.json({ success: true, user: result.user, csrfToken, message });
+    }
+
+    res.json({
+      success: true,
+      user: result.user,
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
+      message
     });
   }
 }
@@ -0,0 +1,63 @@
+const { healthService } = require('../services/HealthService');
+const { metricsService } = require('../services/MetricsService');
+const { AuthenticationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+class HealthController {
+  constructor() {
+    this.healthService = healthService;
+    this.metricsService = metricsService;
+  }
+
+  // Liveness: the process is up and serving requests
+  live = (req, res) => {
+    res.json(this.healthService.liveness());
+  };
+
+  // Readiness: dependencies are reachable; 503 tells the load balancer to hold traffic
+  ready = async (req, res) => {
+    try {
+      const { ready, checks } = await this.healthService.readiness(req.app.locals);
+
+      if (!ready) {
+        logger.warn('Readiness check failed', { checks });
+
+        // Connection errors can name hosts and users; keep them in the logs
+        if (process.env.NODE_ENV !== 'development') {
+          for (const check of Object.values(checks)) {
+            delete check.error;
+          }
+        }
+      }
+
+      res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        timestamp: new Date().toISOString(),
+        checks
+      });
+    } catch (error) {
+      logger.error('Readiness controller error', { error });
+      res.status(503).json({
+        status: 'not_ready',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
+  // Prometheus scrape endpoint; requires `Authorization: Bearer <METRICS_TOKEN>` when set
+  metrics = async (req, res, next) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+      return next(new AuthenticationError('Metrics token required', { code: 'METRICS_TOKEN_REQUIRED' }));
+    }
+
+    try {
+      res.set('Content-Type', this.metricsService.contentType);
+      res.send(await this.metricsService.render());
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = HealthController;
@@ -0,0 +1,528 @@
+const schemas = require('../schemas');
+const { version } = require('../../package.json');
+
+/**
+ * OpenAPI 3 description of the API, served by GET /api/v1/docs/openapi.json and
+ * rendered at /api/v1/docs.
+ * Every route of the app needs an entry in `operations` (tests/docs.test.js
+ * compares them with the routers). The deprecated aliases of /api/v1 (see
+ * src/middleware/legacyRoutes.js) are not listed. Request bodies and parameters come from
+ * the route schemas in src/schemas, so they cannot drift from what the
+ * validate middleware enforces.
+ * Operation fields:
+ *   summary, tag
+ *   auth      - 'user' (Bearer access token), 'admin' (token with the admin
+ *               role) or 'metrics' (Bearer METRICS_TOKEN when set)
+ *   schema    - route schema ({ body, query, params })
+ *   responses - success responses as { status: description } or
+ *               { status: [description, schema] }
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const operations = {
+  // Health and monitoring
+  'GET /metrics': {
+    tag: 'Health',
+    summary: 'Prometheus metrics in text format',
+    auth: 'metrics',
+    responses: { 200: ['Metrics', { type: 'string' }] },
+    contentType: 'text/plain'
+  },
+  'GET /api/v1/health': {
+    tag: 'Health',
+    summary: 'Liveness check (same as /api/v1/health/live)',
+    responses: { 200: ['The process is up', ref('Liveness')] }
+  },
+  'GET /api/v1/health/live': {
+    tag: 'Health',
+    summary: 'Liveness check',
+    responses: { 200: ['The process is up', ref('Liveness')] }
+  },
+  'GET /api/v1/health/ready': {
+    tag: 'Health',
+    summary: 'Readiness check: database connectivity and migrations',
+    responses: {
+      200: ['Ready to serve traffic', ref('Readiness')],
+      503: ['A dependency is unavailable', ref('Readiness')]
+    }
+  },
+  'GET /api/v1/schemas': {
+    tag: 'Docs',
+    summary: 'Request schemas (JSON Schema) of every route',
+    responses: { 200: ['Schemas by router and controller method', { type: 'object' }] }
+  },
+  'GET /api/v1/docs/openapi.json': {
+    tag: 'Docs',
+    summary: 'This OpenAPI document',
+    responses: { 200: ['OpenAPI 3 document', { type: 'object' }] }
+  },
+
+  // Registration and login
+  'GET /.well-known/jwks.json': {
+    tag: 'Auth',
+    summary: 'Public keys for verifying access tokens (empty with HS256)',
+    responses: { 200: ['JWK Set', ref('JwkSet')] }
+  },
+  'POST /api/v1/auth/register': {
+    tag: 'Auth',
+    summary: 'Register a new account',
+    schema: schemas.auth.register,
+    responses: { 201: ['Account created; a verification email was sent', ref('UserResponse')] }
+  },
+  'POST /api/v1/auth/login': {
+    tag: 'Auth',
+    summary: 'Log in with email and password',
+    schema: schemas.auth.login,
+    responses: { 200: ['Tokens, or a two-factor challenge when TOTP is enabled', ref('LoginResponse')] }
+  },
+  'POST /api/v1/auth/login/2fa': {
+    tag: 'Auth',
+    summary: 'Complete login with a TOTP or recovery code',
+    schema: schemas.auth.loginTwoFactor,
+    responses: { 200: ['Tokens', ref('LoginResponse')] }
+  },
+  'POST /api/v1/auth/refresh': {
+    tag: 'Auth',
+    summary: 'Exchange a refresh token (body, or cookie in cookie mode) for a new token pair (rotation)',
+    schema: schemas.auth.refreshToken,
+    responses: { 200: ['New token pair', ref('LoginResponse')] }
+  },
+  'GET /api/v1/auth/csrf': {
+    tag: 'Auth',
+    summary: 'CSRF token of the auth cookies (cookie mode), for frontends that cannot read the csrfToken cookie',
+    responses: { 200: ['CSRF token to send in the X-CSRF-Token header', ref('CsrfTokenResponse')] }
+  },
+  'POST /api/v1/auth/verify-email': {
+    tag: 'Auth',
+    summary: 'Confirm an email address with the emailed token',
+    schema: schemas.auth.verifyEmail,
+    responses: { 200: ['Email verified', ref('UserResponse')] }
+  },
+  'POST /api/v1/auth/resend-verification': {
+    tag: 'Auth',
+    summary: 'Send a new verification email',
+    schema: schemas.auth.resendVerification,
+    responses: { 200: ['Sent if an unverified account exists', ref('Message')] }
+  },
+  'POST /api/v1/auth/forgot-password': {
+    tag: 'Auth',
+    summary: 'Email a password reset link',
+    schema: schemas.auth.forgotPassword,
+    responses: { 200: ['Sent if the account exists', ref('Message')] }
+  },
+  'POST /api/v1/auth/reset-password': {
+    tag: 'Auth',
+    summary: 'Set a new password with a reset token',
+    schema: schemas.auth.resetPassword,
+    responses: { 200: ['Password changed; every session is signed out', ref('Message')] }
+  },
+  'POST /api/v1/auth/email/confirm': {
+    tag: 'Auth',
+    summary: 'Confirm an email change with the emailed token',
+    schema: schemas.auth.confirmEmailChange,
+    responses: { 200: ['Email changed', ref('UserResponse')] }
+  },
+
+  'GET /api/v1/auth/oauth/:provider/start': {
+    tag: 'Auth',
+    summary: 'Start social login (authorization code + PKCE); redirects to the provider',
+    schema: schemas.auth.oauthStart,
+    responses: { 302: 'Redirect to the provider sign-in page' }
+  },
+  'GET /api/v1/auth/oauth/:provider/callback': {
+    tag: 'Auth',
+    summary: 'Provider redirect target; signs in, links or creates the account and redirects to the frontend ' +
+      '(OAUTH_FRONTEND_REDIRECT_URL) with the auth cookies (cookie mode), ?code=<one-time code> or ?error=<error code>',
+    schema: schemas.auth.oauthCallback,
+    responses: { 302: 'Redirect to the frontend' }
+  },
+  'POST /api/v1/auth/oauth/exchange': {
+    tag: 'Auth',
+    summary: 'Exchange the one-time code of a social login redirect for tokens (answers like login)',
+    schema: schemas.auth.oauthExchange,
+    responses: { 200: ['Tokens, or a two-factor challenge when TOTP is enabled', ref('LoginResponse')] }
+  },
+
+  // Current user
+  'GET /api/v1/auth/me': {
+    tag: 'Account',
+    summary: 'Profile of the current user',
+    auth: 'user',
+    responses: { 200: ['Current user', ref('UserResponse')] }
+  },
+  'GET /api/v1/auth/verify': {
+    tag: 'Account',
+    summary: 'Check that the access token is valid',
+    auth: 'user',
+    responses: { 200: ['Token is valid', ref('UserResponse')] }
+  },
+  'POST /api/v1/auth/logout': {
+    tag: 'Account',
+    summary: 'Log out the current session',
+    auth: 'user',
+    schema: schemas.auth.logout,
+    responses: { 200: ['Logged out', ref('Message')] }
+  },
+  'POST /api/v1/auth/logout-all': {
+    tag: 'Account',
+    summary: 'Log out every session of the user',
+    auth: 'user',
+    schema: schemas.auth.logoutAll,
+    responses: { 200: ['Logged out everywhere', ref('Message')] }
+  },
+  'GET /api/v1/auth/sessions': {
+    tag: 'Account',
+    summary: 'Active sessions (devices)',
+    auth: 'user',
+    responses: { 200: ['Sessions, the current one flagged', { type: 'object' }] }
+  },
+  'DELETE /api/v1/auth/sessions/:id': {
+    tag: 'Account',
+    summary: 'Revoke one session',
+    auth: 'user',
+    schema: schemas.auth.revokeSession,
+    responses: { 200: ['Session revoked', ref('Message')] }
+  },
+  'GET /api/v1/auth/activity': {
+    tag: 'Account',
+    summary: 'Own security history, newest first',
+    auth: 'user',
+    schema: schemas.auth.getActivity,
+    responses: { 200: ['A page of audit events', { type: 'object' }] }
+  },
+  'PUT /api/v1/auth/password': {
+    tag: 'Account',
+    summary: 'Change password (signs out other sessions)',
+    auth: 'user',
+    schema: schemas.auth.changePassword,
+    responses: { 200: ['Password changed', ref('Message')] }
+  },
+  'PUT /api/v1/auth/email': {
+    tag: 'Account',
+    summary: 'Request an email change; a confirmation link is sent to the new address',
+    auth: 'user',
+    schema: schemas.auth.changeEmail,
+    responses: { 202: ['Confirmation email sent', ref('Message')] }
+  },
+  'POST /api/v1/auth/2fa/enroll': {
+    tag: 'Account',
+    summary: 'Start TOTP enrollment',
+    auth: 'user',
+    schema: schemas.auth.enrollTwoFactor,
+    responses: { 200: ['Secret and otpauth:// URI for the authenticator app', { type: 'object' }] }
+  },
+  'POST /api/v1/auth/2fa/confirm': {
+    tag: 'Account',
+    summary: 'Enable TOTP with a code from the app',
+    auth: 'user',
+    schema: schemas.auth.confirmTwoFactor,
+    responses: { 200: ['Enabled; returns one-time recovery codes', { type: 'object' }] }
+  },
+  'POST /api/v1/auth/2fa/disable': {
+    tag: 'Account',
+    summary: 'Disable TOTP (password and code required)',
+    auth: 'user',
+    schema: schemas.auth.disableTwoFactor,
+    responses: { 200: ['Disabled', ref('Message')] }
+  },
+
+  // Administration
+  'GET /api/v1/admin/users': {
+    tag: 'Admin',
+    summary: 'List users',
+    auth: 'admin',
+    schema: schemas.admin.listUsers,
+    responses: { 200: ['A page of users', { type: 'object' }] }
+  },
+  'GET /api/v1/admin/users/:id': {
+    tag: 'Admin',
+    summary: 'View a user with roles',
+    auth: 'admin',
+    schema: schemas.admin.getUser,
+    responses: { 200: ['The user', { type: 'object' }] }
+  },
+  'POST /api/v1/admin/users/:id/disable': {
+    tag: 'Admin',
+    summary: 'Disable an account and revoke its sessions',
+    auth: 'admin',
+    schema: schemas.admin.disableUser,
+    responses: { 200: ['Disabled', { type: 'object' }] }
+  },
+  'POST /api/v1/admin/users/:id/enable': {
+    tag: 'Admin',
+    summary: 'Re-enable an account',
+    auth: 'admin',
+    schema: schemas.admin.enableUser,
+    responses: { 200: ['Enabled', { type: 'object' }] }
+  },
+  'POST /api/v1/admin/users/:id/force-password-reset': {
+    tag: 'Admin',
+    summary: 'Block login until the emailed reset link is used',
+    auth: 'admin',
+    schema: schemas.admin.forcePasswordReset,
+    responses: { 200: ['Reset email sent', { type: 'object' }] }
+  },
+  'DELETE /api/v1/admin/users/:id': {
+    tag: 'Admin',
+    summary: 'Delete an account',
+    auth: 'admin',
+    schema: schemas.admin.deleteUser,
+    responses: { 200: ['Deleted', ref('Message')] }
+  },
+  'GET /api/v1/admin/events': {
+    tag: 'Admin',
+    summary: 'Query the audit log',
+    auth: 'admin',
+    schema: schemas.admin.listEvents,
+    responses: { 200: ['A page of audit events', { type: 'object' }] }
+  },
+
+  // Examples
+  'GET /api/v1/protected': {
+    tag: 'Examples',
+    summary: 'Example route that requires a token',
+    auth: 'user',
+    responses: { 200: ['The current user', ref('UserResponse')] }
+  },
+  'GET /api/v1/public': {
+    tag: 'Examples',
+    summary: 'Example route that works with or without a token',
+    responses: { 200: ['The current user, if any', { type: 'object' }] }
+  }
+};
+
+// Either scheme; cookieAuth only when TOKEN_TRANSPORT=cookie
+const SECURITY = {
+  user: [{ bearerAuth: [] }, { cookieAuth: [] }],
+  admin: [{ bearerAuth: [] }, { cookieAuth: [] }],
+  metrics: [{ metricsToken: [] }]
+};
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token from login or refresh' },
+    cookieAuth: {
+      type: 'apiKey',
+      in: 'cookie',
+      name: 'accessToken',
+      description: 'httpOnly cookie set by login and refresh when TOKEN_TRANSPORT=cookie. ' +
+        'POST, PUT and DELETE requests must repeat the csrfToken cookie in the X-CSRF-Token header.'
+    },
+    metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN, when one is configured' }
+  },
+  schemas: {
+    User: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        email: { type: 'string', format: 'email' },
+        email_verified: { type: 'boolean' },
+        two_factor_enabled: { type: 'boolean' },
+        created_at: { type: 'string', format: 'date-time' }
+      }
+    },
+    UserResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        user: ref('User')
+      }
+    },
+    LoginResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        user: ref('User'),
+        accessToken: { type: 'string', description: 'Bearer transport only' },
+        refreshToken: { type: 'string', description: 'Bearer transport only' },
+        csrfToken: { type: 'string', description: 'Cookie transport only: send it back in the X-CSRF-Token header' },
+        twoFactorRequired: { type: 'boolean', description: 'Set instead of the tokens when a second factor is needed' },
+        challengeToken: { type: 'string', description: 'Pass to POST /api/v1/auth/login/2fa' }
+      }
+    },
+    CsrfTokenResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        csrfToken: { type: 'string' }
+      }
+    },
+    Message: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' }
+      }
+    },
+    Liveness: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ok'] },
+        environment: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+        version: { type: 'string' },
+        commit: { type: 'string' },
+        uptimeSeconds: { type: 'integer' }
+      }
+    },
+    Readiness: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ready', 'not_ready'] },
+        timestamp: { type: 'string', format: 'date-time' },
+        checks: { type: 'object' }
+      }
+    },
+    JwkSet: {
+      type: 'object',
+      properties: {
+        keys: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              kid: { type: 'string' },
+              kty: { type: 'string', enum: ['RSA', 'EC'] },
+              alg: { type: 'string', enum: ['RS256', 'ES256'] },
+              use: { type: 'string', enum: ['sig'] }
+            },
+            additionalProperties: true
+          }
+        }
+      }
+    },
+    FieldError: {
+      type: 'object',
+      properties: {
+        field: { type: 'string' },
+        message: { type: 'string' }
+      }
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        message: { type: 'string' },
+        code: { type: 'string', description: 'Stable error code, see the README' },
+        errors: { type: 'array', items: ref('FieldError') },
+        retryAfter: { type: 'integer', description: 'Seconds until a retry may succeed' },
+        requestId: { type: 'string' }
+      }
+    },
+    Problem: {
+      type: 'object',
+      description: 'RFC 7807 problem document, sent for Accept: application/problem+json',
+      properties: {
+        type: { type: 'string' },
+        title: { type: 'string' },
+        status: { type: 'integer' },
+        detail: { type: 'string' },
+        instance: { type: 'string' },
+        code: { type: 'string' },
+        errors: { type: 'array', items: ref('FieldError') },
+        retryAfter: { type: 'integer' },
+        requestId: { type: 'string' }
+      }
+    }
+  },
+  responses: {
+    Error: {
+      description: 'Error, with a stable code',
+      content: {
+        'application/json': { schema: ref('Error') },
+        'application/problem+json': { schema: ref('Problem') }
+      }
+    }
+  }
+};
+
+// Query and path parameters described by a route schema part
+const toParameters = (schema, location) => Object.entries((schema && schema.properties) || {})
+  .map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    schema: property
+  }));
+
+const toResponse = (value, contentType) => {
+  const [description, schema] = Array.isArray(value) ? value : [value];
+  return schema
+    ? { description, content: { [contentType]: { schema } } }
+    : { description };
+};
+
+function toOperation(key, operation) {
+  const [method, path] = key.split(' ');
+  const { schema = {}, auth, contentType = 'application/json' } = operation;
+
+  const parameters = [
+    ...toParameters(schema.params, 'path'),
+    ...toParameters(schema.query, 'query')
+  ];
+
+  // Path parameters the schema does not describe are plain strings
+  for (const [, name] of path.matchAll(/:(\w+)/g)) {
+    if (!parameters.some(parameter => parameter.in === 'path' && parameter.name === name)) {
+      parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+
+  const responses = {};
+  for (const [status, value] of Object.entries(operation.responses)) {
+    responses[status] = toResponse(value, contentType);
+  }
+  responses.default = { $ref: '#/components/responses/Error' };
+
+  return {
+    method: method.toLowerCase(),
+    path: path.replace(/:(\w+)/g, '{$1}'),
+    operation: {
+      tags: [operation.tag],
+      summary: operation.summary,
+      ...(auth === 'admin' && { description: 'Requires the admin role.' }),
+      ...(auth && { security: SECURITY[auth] }),
+      ...(parameters.length > 0 && { parameters }),
+      ...(schema.body && {
+        requestBody: {
+          required: Boolean(schema.body.required),
+          content: { 'application/json': { schema: schema.body } }
+        }
+      }),
+      responses
+    }
+  };
+}
+
+// The complete OpenAPI document
+function buildOpenApiDocument() {
+  const paths = {};
+
+  for (const [key, operation] of Object.entries(operations)) {
+    const { method, path, operation: entry } = toOperation(key, operation);
+    paths[path] = { ...paths[path], [method]: entry };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Auth Backend API',
+      version,
+      description: 'Registration, login, sessions, two-factor authentication and administration. ' +
+        'The unversioned aliases (/api/auth/*, /api/*, /user/*) are deprecated; they answer with ' +
+        'Deprecation, Sunset and Link headers pointing at the /api/v1 successor.'
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(Object.values(operations).map(operation => operation.tag))].map(name => ({ name })),
+    paths,
+    components
+  };
+}
+
+module.exports = {
+  operations,
+  buildOpenApiDocument
+};
@@ -1,75 +1,92 @@
-const { AuthService, TokenExpiredError, AuthenticationError } = require('../services/AuthService');
-const { extractTokensFromCookies } = require('../utils/cookies');
+const { AuthService } = require('../services/AuthService');
+const { AuthenticationError, TokenExpiredError, ForbiddenError } = require('../utils/errors');
+const { extractTokensFromCookies, hasValidCsrfToken, isSafeMethod } = require('../utils/cookies');
+const { roleService } = require('../services/RoleService');
+const { auditService } = require('../services/AuditService');
+const { getClientContext } = require('../utils/userAgent');
+const { logger } = require('../utils/logger');
 
 class AuthMiddleware {
   constructor() {
     this.authService = new AuthService();
   }
 
+  // Access token from the Authorization header (Bearer token) or, in cookie
+  // transport mode, from the access token cookie
+  getAccessToken(req) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    if (token) {
+      return { token, fromCookie: false };
+    }
+
+    const { config } = req.app.locals;
+    if (config && config.tokenTransport === 'cookie') {
+      return { token: extractTokensFromCookies(req).accessToken, fromCookie: true };
+    }
+
+    return { token: undefined, fromCookie: false };
+  }
+
+  // Cookie-authenticated state-changing requests must repeat the CSRF token:
+  // browsers send cookies on cross-site requests too
+  lacksCsrfToken(req, fromCookie) {
+    return fromCookie && !isSafeMethod(req.method) && !hasValidCsrfToken(req);
+  }
+
   // Middleware to verify access token
   verifyToken = async (req, res, next) => {
     try {
-      // Get token from Authorization header (Bearer token)
-      const authHeader = req.headers.authorization;
-      const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+      const { token, fromCookie } = this.getAccessToken(req);
 
       if (!token) {
-        return res.status(401).json({
-          success: false,
-          message: 'Access token required',
-          code: 'NO_TOKEN'
-        });
+        return next(new AuthenticationError('Access token required', { code: 'NO_TOKEN', reason: 'no_token' }));
+      }
+
+      if (this.lacksCsrfToken(req, fromCookie)) {
+        await this.recordDenied(req, 'csrf');
+        return next(new ForbiddenError('CSRF token missing or invalid', { code: 'CSRF_TOKEN_INVALID' }));
       }
 
       try {
         // Verify access token
-        const user = await this.authService.verifyAccessToken(token);
+        const { user, claims } = await this.authService.verifyAccessToken(token);
         req.user = user;
+        req.auth = claims;
         next();
       } catch (error) {
         if (error instanceof TokenExpiredError) {
-          return res.status(401).json({
-            success: false,
-            message: 'Access token expired',
-            code: 'TOKEN_EXPIRED'
-          });
+          return next(error);
         }
         
+        // Expiry is routine; forged or revoked tokens are worth auditing
         if (error instanceof AuthenticationError) {
-          return res.status(401).json({
-            success: false,
-            message: error.message,
-            code: 'INVALID_TOKEN'
-          });
+          await this.recordDenied(req, error.reason);
+          return next(new AuthenticationError(error.message, { code: 'INVALID_TOKEN', reason: error.reason }));
         }
 
         throw error;
       }
     } catch (error) {
-      console.error('Auth middleware error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Authentication verification failed',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      next(error);
     }
   };
 
   // Optional middleware for routes that work with or without authentication
   optionalAuth = async (req, res, next) => {
     try {
-      const authHeader = req.headers.authorization;
-      const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+      const { token, fromCookie } = this.getAccessToken(req);
 
-      if (!token) {
-        // No token, continue without user
+      // No usable token (cookies without the CSRF token count as none), continue without user
+      if (!token || this.lacksCsrfToken(req, fromCookie)) {
         req.user = null;
         return next();
       }
 
       try {
-        const user = await this.authService.verifyAccessToken(token);
+        const { user, claims } = await this.authService.verifyAccessToken(token);
         req.user = user;
+        req.auth = claims;
       } catch (error) {
         // Invalid/expired token, continue without user
         req.user = null;
@@ -77,100 +94,64 @@ class AuthMiddleware {
       
       next();
     } catch (error) {
-      console.error('Optional auth middleware error:', error);
+      logger.error('Optional auth middleware error', { error });
       // Continue without user on error
       req.user = null;
       next();
     }
   };
 
-  // Middleware to check if user is admin (example for future use)
-  requireAdmin = async (req, res, next) => {
+  // Middleware factory: require at least one of the given roles.
+  // Roles come from the access token, so changes apply after the next refresh.
+  requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+      return next(new AuthenticationError('Authentication required', { code: 'AUTHENTICATION_REQUIRED' }));
+    }
+
+    const userRoles = (req.auth && req.auth.roles) || [];
+    if (!roles.some(role => userRoles.includes(role))) {
+      // Not awaited: the response does not depend on the audit write
+      this.recordDenied(req, 'insufficient_role', { required: roles });
+      return next(new ForbiddenError('Insufficient role'));
+    }
+
+    next();
+  };
+
+  // Middleware factory: require every one of the given permissions, resolved
+  // from the roles in the access token
+  requirePermission = (...permissions) => async (req, res, next) => {
     try {
       if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Authentication required'
-        });
+        return next(new AuthenticationError('Authentication required', { code: 'AUTHENTICATION_REQUIRED' }));
       }
 
-      // For now, check if user has admin email or role
-      // This can be extended based on your user model
-      const adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim());
-      
-      if (!adminEmails.includes(req.user.email)) {
-        return res.status(403).json({
-          success: false,
-          message: 'Admin access required'
-        });
+      const granted = await roleService.getPermissionsForRoles((req.auth && req.auth.roles) || []);
+      if (!permissions.every(permission => granted.includes(permission))) {
+        await this.recordDenied(req, 'insufficient_permissions', { required: permissions });
+        return next(new ForbiddenError('Insufficient permissions'));
       }
 
       next();
     } catch (error) {
-      console.error('Admin middleware error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Authorization verification failed',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      next(error);
     }
   };
 
-  // Rate limiting middleware (simple implementation)
-  rateLimiter = (maxRequests = 10, windowMs = 15 * 60 * 1000) => {
-    const requests = new Map();
-    const isDev = process.env.NODE_ENV !== 'production';
-
-    return (req, res, next) => {
-      // In development, be more lenient or skip rate limiting for certain requests
-      if (isDev && process.env.DISABLE_RATE_LIMIT === 'true') {
-        return next();
-      }
-
-      const ip = req.ip || req.connection.remoteAddress || 'unknown';
-      const now = Date.now();
-      const windowStart = now - windowMs;
-
-      // Clean old entries periodically
-      if (requests.size > 1000) { // Prevent memory leak
-        for (const [key, timestamps] of requests.entries()) {
-          const validTimestamps = timestamps.filter(timestamp => timestamp > windowStart);
-          if (validTimestamps.length === 0) {
-            requests.delete(key);
-          } else {
-            requests.set(key, validTimestamps);
-          }
-        }
-      }
-
-      // Check current IP
-      const ipRequests = requests.get(ip) || [];
-      const recentRequests = ipRequests.filter(timestamp => timestamp > windowStart);
-
-      if (recentRequests.length >= maxRequests) {
-        const retryAfter = Math.ceil((recentRequests[0] + windowMs - now) / 1000);
-        
-        if (isDev) {
-          console.warn(`Rate limit hit for IP ${ip}: ${recentRequests.length}/${maxRequests} requests`);
-        }
-        
-        return res.status(429).json({
-          success: false,
-          message: 'Too many requests. Please try again later.',
-          retryAfter,
-          limit: maxRequests,
-          windowMs: Math.ceil(windowMs / 1000),
-          current: recentRequests.length
-        });
-      }
-
-      // Add current request
-      recentRequests.push(now);
-      requests.set(ip, recentRequests);
+  // Audit a rejected request to a protected route
+  recordDenied(req, reason, metadata = {}) {
+    return auditService.record({
+      type: 'access_denied',
+      outcome: 'failure',
+      reason,
+      user: req.user || undefined,
+      context: getClientContext(req),
+      metadata: { method: req.method, path: req.originalUrl, ...metadata }
+    });
+  }
 
-      next();
-    };
-  };
+  // Middleware to check if user is admin
+  requireAdmin = this.requireRole('admin');
 }
 
 // Export instance for use in routes
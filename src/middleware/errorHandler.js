@@ -0,0 +1,97 @@
+const http = require('http');
+const { AppError, NotFoundError } = require('../utils/errors');
+const { logger: defaultLogger } = require('../utils/logger');
+
+const PROBLEM_JSON = 'application/problem+json';
+
+// Errors raised by the body parsers, keyed by their `type`
+const BODY_PARSER_ERRORS = {
+  'entity.parse.failed': { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' },
+  'entity.too.large': { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' },
+  'encoding.unsupported': { status: 415, code: 'UNSUPPORTED_ENCODING', message: 'Unsupported content encoding' },
+  'charset.unsupported': { status: 415, code: 'UNSUPPORTED_CHARSET', message: 'Unsupported charset' }
+};
+
+// Status, code and client-facing fields for any error
+function describeError(error) {
+  if (error instanceof AppError) {
+    return {
+      status: error.status,
+      code: error.code,
+      message: error.message,
+      errors: error.errors,
+      retryAfter: error.retryAfter || undefined,
+      details: error.details
+    };
+  }
+
+  if (BODY_PARSER_ERRORS[error.type]) {
+    return BODY_PARSER_ERRORS[error.type];
+  }
+
+  return { status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' };
+}
+
+/**
+ * The one place errors become responses. Controllers and middleware pass
+ * errors to next(); each is answered with its status and stable `code`:
+ *   { success: false, message, code, errors?, retryAfter?, requestId }
+ * Clients that send `Accept: application/problem+json` get an RFC 7807
+ * problem document instead, with the same code and request id as extension
+ * members. Errors that are not AppErrors are logged and answered as a
+ * generic 500, with the original message only in development.
+ */
+const errorHandler = ({ logger = defaultLogger, isDev = false } = {}) => (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const { status, code, message, errors, retryAfter, details } = describeError(error);
+
+  if (status >= 500) {
+    logger.error('Unhandled error', { error });
+  }
+
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+
+  res.status(status);
+
+  if (req.accepts(['json', PROBLEM_JSON]) === PROBLEM_JSON) {
+    return res.type(PROBLEM_JSON).json({
+      type: 'about:blank',
+      title: http.STATUS_CODES[status],
+      status,
+      detail: message,
+      instance: req.originalUrl,
+      code,
+      errors,
+      retryAfter,
+      ...details
+    });
+  }
+
+  res.json({
+    success: false,
+    message,
+    code,
+    errors,
+    retryAfter,
+    ...details,
+    error: isDev && !(error instanceof AppError) ? error.message : undefined
+  });
+};
+
+// Catch-all for requests no route matched
+const notFound = (req, res, next) => {
+  next(new NotFoundError('Endpoint not found', {
+    code: 'ENDPOINT_NOT_FOUND',
+    details: { path: req.originalUrl }
+  }));
+};
+
+module.exports = {
+  errorHandler,
+  notFound
+};
@@ -0,0 +1,72 @@
+const { listTopLevelSegments } = require('../utils/routes');
+const { metricsService: defaultMetrics } = require('../services/MetricsService');
+const { logger: defaultLogger } = require('../utils/logger');
+
+// Log the first request to a legacy mount and then every LOG_EVERY-th
+const LOG_EVERY = 100;
+
+/**
+ * Compatibility layer for the URL aliases that predate /api/v1. Requests are
+ * rewritten to their canonical path and handed to the canonical router, so
+ * aliases run exactly the same middleware chain (rate limits, validation, ...):
+ *   <mount>/auth/login  -> /api/v1/auth/login   (every section: auth, admin, health, ...)
+ *   <mount>/login       -> /api/v1/auth/login   (auth routes were also mounted at the root)
+ * Responses carry Deprecation (RFC 9745) and Sunset (RFC 8594) headers and
+ * a Link to the successor URL. Usage is counted per mount in the
+ * legacy_route_requests_total metric and in the logs.
+ * Options:
+ *   canonicalBase - where apiRouter is mounted (default /api/v1)
+ *   deprecatedAt, sunsetAt - Dates from configManager.getLegacyRoutesPolicy()
+ */
+const legacyRoutes = (apiRouter, {
+  canonicalBase = '/api/v1',
+  deprecatedAt,
+  sunsetAt,
+  logger = defaultLogger,
+  metrics = defaultMetrics
+}) => {
+  const sections = listTopLevelSegments(apiRouter);
+  const counts = new Map();
+
+  return (req, res, next) => {
+    const mount = req.baseUrl;
+    const [, segment] = req.path.split('/');
+
+    // Canonical URLs the canonical router did not serve fall through to the 404
+    if (`${mount}/${segment}` === canonicalBase) {
+      return next();
+    }
+
+    const path = sections.has(segment) ? req.path : `/auth${req.path}`;
+    const successor = `${canonicalBase}${path}`;
+
+    res.set({
+      Deprecation: `@${Math.floor(deprecatedAt.getTime() / 1000)}`,
+      Sunset: sunsetAt.toUTCString(),
+      Link: `<${successor}>; rel="successor-version"`
+    });
+
+    metrics.recordLegacyRequest(mount);
+    const count = (counts.get(mount) || 0) + 1;
+    counts.set(mount, count);
+    if (count === 1 || count % LOG_EVERY === 0) {
+      logger.warn('Deprecated route used', { mount, path: req.originalUrl.split('?')[0], successor, count });
+    }
+
+    // Mount the router at canonicalBase for the request, so route patterns
+    // (metrics labels, logs) are the canonical ones
+    const { url, baseUrl } = req;
+    req.url = `${path}${url.slice(req.path.length)}`;
+    req.baseUrl = canonicalBase;
+
+    apiRouter(req, res, (error) => {
+      req.url = url;
+      req.baseUrl = baseUrl;
+      next(error);
+    });
+  };
+};
+
+module.exports = {
+  legacyRoutes
+};
@@ -0,0 +1,46 @@
+const { metricsService } = require('../services/MetricsService');
+
+// Remember the route pattern of a request (e.g. /api/admin/users/:id) when
+// Express matches it, so that ids do not become label values. It cannot be
+// read at the end: Express resets req.baseUrl when an error leaves a router.
+const captureRoute = (req) => {
+  let route;
+  let label = 'unmatched';
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value) {
+        label = `${req.baseUrl}${value.path}`;
+      }
+    }
+  });
+
+  return () => label;
+};
+
+/**
+ * Count every request and time it, labelled by method, route and status.
+ */
+const trackRequests = (metrics = metricsService) => (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const routeLabel = captureRoute(req);
+
+  res.once('finish', () => {
+    metrics.observeRequest({
+      method: req.method,
+      route: routeLabel(),
+      status: res.statusCode,
+      durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  trackRequests
+};
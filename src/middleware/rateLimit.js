@@ -0,0 +1,129 @@
+const { AuthService } = require('../services/AuthService');
+const { createRateLimitStore } = require('../services/RateLimitStore');
+const { sanitizeEmail } = require('../utils/validation');
+const { extractTokensFromCookies } = require('../utils/cookies');
+const { logger } = require('../utils/logger');
+const { metricsService } = require('../services/MetricsService');
+const { RateLimitError } = require('../utils/errors');
+const { fromAppScope } = require('../utils/appScope');
+
+const isDev = process.env.NODE_ENV !== 'production';
+const MINUTE = 60 * 1000;
+
+// Rate limit policies, referenced by name from the routers.
+// keyBy lists what identifies a client for the policy:
+//   ip    - client IP
+//   email - email in the request body (login/forgot-password guessing)
+//   user  - authenticated user, or the owner of a valid refresh token; falls back to IP
+const RATE_LIMIT_POLICIES = {
+  auth: { max: isDev ? 1000 : 300, windowMs: 15 * MINUTE, keyBy: ['ip'] },
+  login: { max: isDev ? 100 : 10, windowMs: 15 * MINUTE, keyBy: ['ip', 'email'] },
+  loginTwoFactor: { max: isDev ? 100 : 10, windowMs: 15 * MINUTE, keyBy: ['ip'] },
+  oauth: { max: isDev ? 100 : 20, windowMs: 15 * MINUTE, keyBy: ['ip'] },
+  register: { max: isDev ? 100 : 5, windowMs: 60 * MINUTE, keyBy: ['ip'] },
+  refresh: { max: isDev ? 300 : 60, windowMs: 15 * MINUTE, keyBy: ['user'] },
+  emailAction: { max: isDev ? 100 : 10, windowMs: 15 * MINUTE, keyBy: ['ip'] },
+  credentialChange: { max: isDev ? 100 : 10, windowMs: 15 * MINUTE, keyBy: ['user'] }
+};
+
+class RateLimiter {
+  constructor(store = createRateLimitStore()) {
+    this.store = store;
+    this.authService = new AuthService();
+  }
+
+  // Swap the default backing store, used outside an app scope (apps bring
+  // their own, see utils/appScope)
+  setStore(store) {
+    this.store = store;
+  }
+
+  // Resolve one component of a rate limit key
+  getKeyPart(part, req) {
+    const ip = req.ip || (req.connection && req.connection.remoteAddress) || 'unknown';
+
+    switch (part) {
+      case 'ip':
+        return ip;
+      case 'email':
+        return sanitizeEmail(req.body && req.body.email) || '-';
+      case 'user': {
+        if (req.user) {
+          return `user:${req.user.id}`;
+        }
+        // Only trust a correctly signed refresh token, otherwise anyone could
+        // burn another user's quota by forging the user id. Browsers in
+        // cookie mode send it as the refresh cookie.
+        const refreshToken = (req.body && req.body.refreshToken) || extractTokensFromCookies(req).refreshToken;
+        const userId = this.authService.peekRefreshTokenUserId(refreshToken);
+        return userId ? `user:${userId}` : `ip:${ip}`;
+      }
+      default:
+        throw new Error(`Unknown rate limit key part: ${part}`);
+    }
+  }
+
+  // Middleware enforcing a named policy; options override the policy's fields
+  policy(name, options = {}) {
+    const { max, windowMs, keyBy } = { ...RATE_LIMIT_POLICIES[name], ...options };
+
+    if (!max || !windowMs || !keyBy) {
+      throw new Error(`Incomplete rate limit policy: ${name}`);
+    }
+
+    return async (req, res, next) => {
+      // In development, rate limiting can be switched off entirely
+      if (isDev && process.env.DISABLE_RATE_LIMIT === 'true') {
+        return next();
+      }
+
+      const key = [name, ...keyBy.map(part => this.getKeyPart(part, req))].join(':');
+
+      let hit;
+      try {
+        hit = await fromAppScope('rateLimitStore', this.store).hit(key, windowMs);
+      } catch (error) {
+        // Fail open: an unavailable store must not take the API down
+        logger.error('Rate limit store error', { error });
+        return next();
+      }
+
+      const now = Date.now();
+      const resetSeconds = Math.max(0, Math.ceil((hit.resetAt - now) / 1000));
+
+      res.set({
+        'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(0, max - hit.count)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (hit.count > max) {
+        if (isDev) {
+          logger.warn('Rate limit hit', { key, count: hit.count, max });
+        }
+
+        metricsService.recordRateLimitRejection(name);
+        return next(new RateLimitError('Too many requests. Please try again later.', {
+          retryAfter: resetSeconds,
+          details: {
+            limit: max,
+            windowMs: Math.ceil(windowMs / 1000),
+            current: hit.count
+          }
+        }));
+      }
+
+      next();
+    };
+  }
+}
+
+// Export instance for use in routes
+const rateLimiter = new RateLimiter();
+
+module.exports = {
+  RateLimiter,
+  rateLimiter,
+  RATE_LIMIT_POLICIES
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { logger: defaultLogger } = require('../utils/logger');
+const { runWithRequestContext } = require('../utils/requestContext');
+
+// Upstream ids are reused only if they are short and log-safe
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an id: the upstream X-Request-Id when valid, otherwise
+ * a new UUID. The id is echoed in the X-Request-Id response header and in
+ * every JSON error body, and attached to all log lines written while the
+ * request is handled.
+ */
+const requestId = (req, res, next) => {
+  const upstream = req.get('X-Request-Id');
+  req.id = upstream && REQUEST_ID_PATTERN.test(upstream) ? upstream : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const isError = res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body);
+    return json(isError ? { ...body, requestId: req.id } : body);
+  };
+
+  runWithRequestContext({ requestId: req.id }, next);
+};
+
+/**
+ * Log one line per completed request (method, path without query string,
+ * status, duration, user). Request bodies are included at debug level,
+ * with credentials redacted.
+ */
+const logRequests = (logger = defaultLogger) => (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.once('finish', () => {
+    const fields = {
+      // 'finish' fires outside the request context, so pass the id along
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - startedAt) / 1000n) / 1000,
+      userId: req.user ? req.user.id : undefined
+    };
+
+    if (logger.isLevelEnabled('debug') && req.body && Object.keys(req.body).length > 0) {
+      fields.body = req.body;
+    }
+
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+    logger[level](`${req.method} ${fields.path} ${res.statusCode}`, fields);
+  });
+
+  next();
+};
+
+module.exports = {
+  requestId,
+  logRequests
+};
@@ -0,0 +1,50 @@
+const { validateSchema } = require('../utils/schema');
+const { ValidationError } = require('../utils/errors');
+
+// Request parts a route schema may describe; query and params are strings
+// on the wire and are coerced to the declared types
+const PARTS = {
+  params: { coerce: true },
+  query: { coerce: true },
+  body: { coerce: false }
+};
+
+/**
+ * Middleware validating a request against a route schema
+ * ({ body, query, params }, see src/schemas). All problems are reported at
+ * once as a 400 VALIDATION_FAILED with `{ field, message }` errors; on
+ * success the coerced values replace req.params, req.query and req.body.
+ */
+const validate = (routeSchema) => (req, res, next) => {
+  const errors = [];
+  const values = {};
+
+  for (const [part, { coerce }] of Object.entries(PARTS)) {
+    const schema = routeSchema[part];
+    if (!schema) {
+      continue;
+    }
+
+    // Bodies without a JSON content type are not parsed at all
+    const input = req[part] === undefined ? {} : req[part];
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+      errors.push({ field: part, message: `Request ${part} must be an object` });
+      continue;
+    }
+
+    const result = validateSchema(schema, input, { coerce });
+    errors.push(...result.errors);
+    values[part] = result.value;
+  }
+
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+
+  Object.assign(req, values);
+  next();
+};
+
+module.exports = {
+  validate
+};
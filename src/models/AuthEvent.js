@@ -0,0 +1,65 @@
+const { getRepositories } = require('../repositories');
+
+// Storage backend (Postgres or in-memory), see src/repositories
+const authEvents = () => getRepositories().authEvents;
+
+// Append-only record of a security-relevant event. There are deliberately no
+// update or delete methods; the table also rejects them (see sql/migrations/0009_auth_events.up.sql).
+class AuthEvent {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.event_type = data.event_type;
+    this.outcome = data.outcome;
+    this.reason = data.reason;
+    this.user_id = data.user_id;
+    this.actor_id = data.actor_id;
+    this.email = data.email;
+    this.ip_address = data.ip_address;
+    this.user_agent = data.user_agent;
+    this.metadata = data.metadata;
+    this.created_at = data.created_at;
+  }
+
+  // Append an event
+  static async create({ eventType, outcome, reason, userId, actorId, email, ipAddress, userAgent, metadata }) {
+    const row = await authEvents().create({ eventType, outcome, reason, userId, actorId, email, ipAddress, userAgent, metadata });
+    return new AuthEvent(row);
+  }
+
+  // Newest events first.
+  // filters: { userId, actorId, eventType, outcome, ipAddress, from, before }
+  static async findAll(limit = 50, offset = 0, filters = {}) {
+    const rows = await authEvents().findAll(limit, offset, filters);
+    return rows.map(row => new AuthEvent(row));
+  }
+
+  static async count(filters = {}) {
+    return authEvents().count(filters);
+  }
+
+  // Event data shown to the user it concerns
+  toSafeObject() {
+    return {
+      id: this.id,
+      event_type: this.event_type,
+      outcome: this.outcome,
+      reason: this.reason,
+      ip_address: this.ip_address,
+      user_agent: this.user_agent,
+      created_at: this.created_at
+    };
+  }
+
+  // Event data for administrators
+  toAdminObject() {
+    return {
+      ...this.toSafeObject(),
+      user_id: this.user_id,
+      actor_id: this.actor_id,
+      email: this.email,
+      metadata: this.metadata
+    };
+  }
+}
+
+module.exports = AuthEvent;
@@ -0,0 +1,32 @@
+const { getRepositories } = require('../repositories');
+
+// Storage backend (Postgres or in-memory), see src/repositories
+const oauthLoginCodes = () => getRepositories().oauthLoginCodes;
+
+// One-time code the frontend exchanges for the tokens of a social login, so
+// they never appear in a redirect URL
+class OAuthLoginCode {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.provider = data.provider;
+    this.code_hash = data.code_hash;
+    this.expires_at = data.expires_at;
+    this.used_at = data.used_at;
+    this.created_at = data.created_at;
+  }
+
+  static async create({ userId, provider, codeHash, expiresAt }) {
+    const row = await oauthLoginCodes().create({ userId, provider, codeHash, expiresAt });
+    return new OAuthLoginCode(row);
+  }
+
+  // Atomically mark a valid code as used. Returns the code, or null if it
+  // does not exist, has expired or was already used.
+  static async consume(codeHash) {
+    const row = await oauthLoginCodes().consume(codeHash);
+    return row ? new OAuthLoginCode(row) : null;
+  }
+}
+
+module.exports = OAuthLoginCode;
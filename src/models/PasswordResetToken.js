@@ -0,0 +1,35 @@
+const { getRepositories } = require('../repositories');
+
+// Storage backend (Postgres or in-memory), see src/repositories
+const passwordResetTokens = () => getRepositories().passwordResetTokens;
+
+class PasswordResetToken {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.token_hash = data.token_hash;
+    this.expires_at = data.expires_at;
+    this.used_at = data.used_at;
+    this.created_at = data.created_at;
+  }
+
+  // Persist a newly issued reset token
+  static async create({ userId, tokenHash, expiresAt }) {
+    const row = await passwordResetTokens().create({ userId, tokenHash, expiresAt });
+    return new PasswordResetToken(row);
+  }
+
+  // Atomically mark a valid token as used. Returns the token, or null if it
+  // does not exist, has expired or was already used.
+  static async consume(tokenHash) {
+    const row = await passwordResetTokens().consume(tokenHash);
+    return row ? new PasswordResetToken(row) : null;
+  }
+
+  // Retire any outstanding tokens so only the latest emailed link works
+  static async invalidateForUser(userId) {
+    return passwordResetTokens().invalidateForUser(userId);
+  }
+}
+
+module.exports = PasswordResetToken;
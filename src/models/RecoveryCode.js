@@ -0,0 +1,36 @@
+const { getRepositories } = require('../repositories');
+
+// Storage backend (Postgres or in-memory), see src/repositories
+const recoveryCodes = () => getRepositories().recoveryCodes;
+
+// One-time 2FA recovery codes, stored hashed
+class RecoveryCode {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.code_hash = data.code_hash;
+    this.used_at = data.used_at;
+    this.created_at = data.created_at;
+  }
+
+  // Replace all of a user's codes with a fresh set
+  static async replaceForUser(userId, codeHashes) {
+    await recoveryCodes().replaceForUser(userId, codeHashes);
+  }
+
+  // Atomically use up a code. Returns false if it does not exist or was used.
+  static async consume(userId, codeHash) {
+    return recoveryCodes().consume(userId, codeHash);
+  }
+
+  // Count codes still available
+  static async countRemaining(userId) {
+    return recoveryCodes().countRemaining(userId);
+  }
+
+  static async deleteForUser(userId) {
+    await recoveryCodes().deleteForUser(userId);
+  }
+}
+
+module.exports = RecoveryCode;
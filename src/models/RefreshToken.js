@@ -0,0 +1,76 @@
+const { getRepositories } = require('../repositories');
+
+// Storage backend (Postgres or in-memory), see src/repositories
+const refreshTokens = () => getRepositories().refreshTokens;
+
+class RefreshToken {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.token_hash = data.token_hash;
+    this.family_id = data.family_id;
+    this.expires_at = data.expires_at;
+    this.revoked_at = data.revoked_at;
+    this.revoked_reason = data.revoked_reason;
+    this.replaced_by = data.replaced_by;
+    this.created_at = data.created_at;
+  }
+
+  // Persist a newly issued refresh token
+  static async create({ userId, tokenHash, familyId, expiresAt }) {
+    const row = await refreshTokens().create({ userId, tokenHash, familyId, expiresAt });
+    return new RefreshToken(row);
+  }
+
+  // Find token by its SHA-256 hash
+  static async findByHash(tokenHash) {
+    const row = await refreshTokens().findByHash(tokenHash);
+    return row ? new RefreshToken(row) : null;
+  }
+
+  // Retire this token in favour of its successor.
+  // Returns false if another request already retired it (concurrent reuse).
+  async rotate(replacedById) {
+    const revokedAt = await refreshTokens().rotate(this.id, replacedById);
+
+    if (!revokedAt) {
+      return false;
+    }
+
+    this.revoked_at = revokedAt;
+    this.revoked_reason = 'rotated';
+    this.replaced_by = replacedById;
+    return true;
+  }
+
+  // Revoke every still-active token in a family
+  static async revokeFamily(familyId, reason) {
+    return refreshTokens().revokeFamily(familyId, reason);
+  }
+
+  // Revoke every still-active token belonging to a user
+  static async revokeAllForUser(userId, reason) {
+    return refreshTokens().revokeAllForUser(userId, reason);
+  }
+
+  // Revoke a user's active tokens in every family except the given one
+  static async revokeOtherFamilies(userId, keepFamilyId, reason) {
+    return refreshTokens().revokeOtherFamilies(userId, keepFamilyId, reason);
+  }
+
+  // A family is dead once any of its tokens was revoked for a reason other
+  // than ordinary rotation (logout, reuse detection, ...)
+  static async isFamilyRevoked(familyId) {
+    return refreshTokens().isFamilyRevoked(familyId);
+  }
+
+  isRevoked() {
+    return !!this.revoked_at;
+  }
+
+  isExpired() {
+    return new Date(this.expires_at).getTime() <= Date.now();
+  }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,58 @@
+const { getRepositories } = require('../repositories');
+
+// Storage backend (Postgres or in-memory), see src/repositories
+const roles = () => getRepositories().roles;
+
+class Role {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.created_at = data.created_at;
+  }
+
+  // Find role by name
+  static async findByName(name) {
+    const row = await roles().findByName(name);
+    return row ? new Role(row) : null;
+  }
+
+  // Get all roles
+  static async findAll() {
+    const rows = await roles().findAll();
+    return rows.map(row => new Role(row));
+  }
+
+  // Names of the roles granted to a user
+  static async findNamesByUserId(userId) {
+    return roles().findNamesByUserId(userId);
+  }
+
+  // Names of the permissions granted by any of the given roles
+  static async findPermissionNamesByRoles(roleNames) {
+    if (!roleNames || roleNames.length === 0) {
+      return [];
+    }
+
+    return roles().findPermissionNamesByRoles(roleNames);
+  }
+
+  // Grant a role to a user (no-op if already granted)
+  static async assignToUser(userId, roleName) {
+    const role = await Role.findByName(roleName);
+    if (!role) {
+      throw new Error(`Role not found: ${roleName}`);
+    }
+
+    await roles().assignToUser(userId, role.id);
+
+    return role;
+  }
+
+  // Revoke a role from a user
+  static async removeFromUser(userId, roleName) {
+    return roles().removeFromUser(userId, roleName);
+  }
+}
+
+module.exports = Role;
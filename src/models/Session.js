@@ -0,0 +1,77 @@
+const { getRepositories } = require('../repositories');
+
+// Storage backend (Postgres or in-memory), see src/repositories
+const sessions = () => getRepositories().sessions;
+
+// A session is one login on one device. Its id doubles as the family id of
+// the refresh tokens rotated under it.
+class Session {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.user_agent = data.user_agent;
+    this.ip_address = data.ip_address;
+    this.device_label = data.device_label;
+    this.created_at = data.created_at;
+    this.last_used_at = data.last_used_at;
+    this.expires_at = data.expires_at;
+    this.revoked_at = data.revoked_at;
+  }
+
+  // Record a new login
+  static async create({ id, userId, userAgent, ipAddress, deviceLabel, expiresAt }) {
+    const row = await sessions().create({ id, userId, userAgent, ipAddress, deviceLabel, expiresAt });
+    return new Session(row);
+  }
+
+  // Find session by ID
+  static async findById(id) {
+    const row = await sessions().findById(id);
+    return row ? new Session(row) : null;
+  }
+
+  // Sessions that can still be refreshed, most recently used first
+  static async findActiveByUser(userId) {
+    const rows = await sessions().findActiveByUser(userId);
+    return rows.map(row => new Session(row));
+  }
+
+  // Bump last-used time and extend expiry to the latest refresh token
+  static async touch(id, { ipAddress, expiresAt }) {
+    await sessions().touch(id, { ipAddress, expiresAt });
+  }
+
+  // Mark a session as revoked
+  static async revoke(id) {
+    return sessions().revoke(id);
+  }
+
+  // Mark every session of a user as revoked
+  static async revokeAllForUser(userId) {
+    return sessions().revokeAllForUser(userId);
+  }
+
+  // Mark every session of a user except the given one as revoked
+  static async revokeOthersForUser(userId, keepId) {
+    return sessions().revokeOthersForUser(userId, keepId);
+  }
+
+  isActive() {
+    return !this.revoked_at && new Date(this.expires_at).getTime() > Date.now();
+  }
+
+  // Get session data for listing to its owner
+  toSafeObject() {
+    return {
+      id: this.id,
+      device_label: this.device_label,
+      user_agent: this.user_agent,
+      ip_address: this.ip_address,
+      created_at: this.created_at,
+      last_used_at: this.last_used_at,
+      expires_at: this.expires_at
+    };
+  }
+}
+
+module.exports = Session;
@@ -1,27 +1,32 @@
 const bcrypt = require('bcrypt');
-const db = require('../../db');
-const { validateEmail } = require('../utils/validation');
+const { getRepositories } = require('../repositories');
+const { logger } = require('../utils/logger');
+
+// Storage backend (Postgres or in-memory), see src/repositories
+const users = () => getRepositories().users;
 
 class User {
   constructor(data = {}) {
     this.id = data.id;
     this.email = data.email;
     this.password = data.password;
+    this.token_version = data.token_version;
+    this.email_verified_at = data.email_verified_at;
+    this.totp_secret = data.totp_secret;
+    this.totp_enabled_at = data.totp_enabled_at;
+    this.totp_last_used_step = data.totp_last_used_step;
+    this.failed_login_count = data.failed_login_count;
+    this.locked_until = data.locked_until;
+    this.disabled_at = data.disabled_at;
+    this.password_reset_required_at = data.password_reset_required_at;
     this.created_at = data.created_at;
   }
 
-  // Create a new user
+  // Create a new user. A null password creates an account that can only sign
+  // in through a linked identity until a password is set.
   static async create(userData) {
+    // Input rules live in the request schemas (src/schemas)
     const { email, password } = userData;
-    
-    // Validation
-    if (!email || !validateEmail(email)) {
-      throw new Error('Invalid email format');
-    }
-    
-    if (!password || password.length < 6) {
-      throw new Error('Password must be at least 6 characters');
-    }
 
     // Check if user already exists
     const existingUser = await User.findByEmail(email);
@@ -30,61 +35,36 @@ class User {
     }
 
     // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = password === null ? null : await bcrypt.hash(password, 10);
 
-    // Insert into database
-    const result = await db.query(
-      'INSERT INTO users (email, password) VALUES ($1, $2) RETURNING id, email, created_at',
-      [email, hashedPassword]
-    );
+    // The repository enforces the unique email rule as well
+    const row = await users().create({ email, password: hashedPassword });
 
-    return new User(result.rows[0]);
+    return new User(row);
   }
 
   // Find user by email
   static async findByEmail(email) {
-    try {
-      const result = await db.query(
-        'SELECT id, email, password, created_at FROM users WHERE email = $1',
-        [email]
-      );
-      
-      if (result.rows.length === 0) {
-        return null;
-      }
-      
-      return new User(result.rows[0]);
-    } catch (error) {
-      console.error('Error finding user by email:', error);
-      return null;
-    }
+    const row = await users().findByEmail(email);
+    return row ? new User(row) : null;
   }
 
   // Find user by ID
   static async findById(id) {
-    try {
-      const result = await db.query(
-        'SELECT id, email, created_at FROM users WHERE id = $1',
-        [id]
-      );
-      
-      if (result.rows.length === 0) {
-        return null;
-      }
-      
-      return new User(result.rows[0]);
-    } catch (error) {
-      console.error('Error finding user by ID:', error);
-      return null;
-    }
+    const row = await users().findById(id);
+    return row ? new User(row) : null;
   }
 
   // Verify password
   async verifyPassword(password) {
+    if (!this.password) {
+      return false;
+    }
+
     try {
       return await bcrypt.compare(password, this.password);
     } catch (error) {
-      console.error('Error verifying password:', error);
+      logger.error('Error verifying password', { error });
       return false;
     }
   }
@@ -94,59 +74,146 @@ class User {
     return {
       id: this.id,
       email: this.email,
+      email_verified: !!this.email_verified_at,
+      two_factor_enabled: !!this.totp_enabled_at,
       created_at: this.created_at
     };
   }
 
   // Update user
   async update(updateData) {
-    const fields = [];
-    const values = [];
-    let paramIndex = 1;
-
-    // Build dynamic update query
-    for (const [key, value] of Object.entries(updateData)) {
-      if (key === 'password') {
-        // Hash password if it's being updated
-        values.push(await bcrypt.hash(value, 10));
-      } else {
-        values.push(value);
-      }
-      fields.push(`${key} = $${paramIndex}`);
-      paramIndex++;
-    }
+    const fields = { ...updateData };
 
-    if (fields.length === 0) {
+    if (Object.keys(fields).length === 0) {
       throw new Error('No fields to update');
     }
 
-    values.push(this.id); // Add ID for WHERE clause
-    const query = `
-      UPDATE users 
-      SET ${fields.join(', ')}
-      WHERE id = $${paramIndex} 
-      RETURNING id, email, created_at
-    `;
+    // Hash password if it's being updated
+    if (fields.password !== undefined) {
+      fields.password = await bcrypt.hash(fields.password, 10);
+    }
 
-    const result = await db.query(query, values);
+    const row = await users().update(this.id, fields);
     
-    if (result.rows.length === 0) {
+    if (!row) {
       throw new Error('User not found');
     }
 
     // Update current instance
-    Object.assign(this, result.rows[0]);
+    Object.assign(this, row);
     return this;
   }
 
+  isEmailVerified() {
+    return !!this.email_verified_at;
+  }
+
+  isDisabled() {
+    return !!this.disabled_at;
+  }
+
+  isPasswordResetRequired() {
+    return !!this.password_reset_required_at;
+  }
+
+  // Get user data for administrators (still without secrets)
+  toAdminObject() {
+    return {
+      ...this.toSafeObject(),
+      email_verified_at: this.email_verified_at,
+      disabled_at: this.disabled_at,
+      password_reset_required_at: this.password_reset_required_at,
+      locked_until: this.locked_until,
+      failed_login_count: this.failed_login_count
+    };
+  }
+
+  isTwoFactorEnabled() {
+    return !!this.totp_enabled_at;
+  }
+
+  // Seconds until the account accepts login attempts again (0 if not locked)
+  getLockRemainingSeconds() {
+    if (!this.locked_until) {
+      return 0;
+    }
+    const remainingMs = new Date(this.locked_until).getTime() - Date.now();
+    return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+  }
+
+  // Atomically start a login attempt: the account stays locked for holdMs
+  // while the credentials are checked, so concurrent attempts are refused.
+  // Returns false, with locked_until refreshed, if the account is locked.
+  async claimLoginAttempt(holdMs) {
+    const row = await users().claimLoginAttempt(this.id, new Date(Date.now() + holdMs));
+
+    if (!row) {
+      const current = await users().findById(this.id);
+      this.locked_until = current ? current.locked_until : null;
+      return false;
+    }
+
+    this.locked_until = row.locked_until;
+    return true;
+  }
+
+  // Lift the hold of a claimed attempt; failures stay counted
+  async releaseLoginAttempt() {
+    if (this.locked_until) {
+      await this.update({ locked_until: null });
+    }
+  }
+
+  // Count a failed login attempt, returning the new total
+  async incrementFailedLogins() {
+    const count = await users().incrementFailedLogins(this.id);
+
+    if (count === null) {
+      throw new Error('User not found');
+    }
+
+    this.failed_login_count = count;
+    return this.failed_login_count;
+  }
+
+  // Clear failed attempts and any lock after a successful login
+  async resetFailedLogins() {
+    if (!this.failed_login_count && !this.locked_until) {
+      return;
+    }
+
+    await users().resetFailedLogins(this.id);
+
+    this.failed_login_count = 0;
+    this.locked_until = null;
+  }
+
+  // Record the TOTP time step just accepted. Returns false if that step (or a
+  // later one) was already used, i.e. the code is being replayed.
+  async markTotpStepUsed(step) {
+    if (!(await users().markTotpStepUsed(this.id, step))) {
+      return false;
+    }
+
+    this.totp_last_used_step = step;
+    return true;
+  }
+
+  // Invalidate every access token issued so far
+  async incrementTokenVersion() {
+    const version = await users().incrementTokenVersion(this.id);
+
+    if (version === null) {
+      throw new Error('User not found');
+    }
+
+    this.token_version = version;
+    return this.token_version;
+  }
+
   // Delete user
   async delete() {
-    const result = await db.query(
-      'DELETE FROM users WHERE id = $1 RETURNING id',
-      [this.id]
-    );
-    
-    if (result.rows.length === 0) {
+    if (!(await users().delete(this.id))) {
       throw new Error('User not found');
     }
     
@@ -154,19 +221,15 @@ class User {
   }
 
   // Get all users (admin function)
-  static async findAll(limit = 50, offset = 0) {
-    const result = await db.query(
-      'SELECT id, email, created_at FROM users ORDER BY created_at DESC LIMIT $1 OFFSET $2',
-      [limit, offset]
-    );
-    
-    return result.rows.map(row => new User(row));
+  // filters: { search, createdFrom, createdBefore, sort: 'created_at' | 'email' | 'id', order: 'asc' | 'desc' }
+  static async findAll(limit = 50, offset = 0, filters = {}) {
+    const rows = await users().findAll(limit, offset, filters);
+    return rows.map(row => new User(row));
   }
 
-  // Count total users
-  static async count() {
-    const result = await db.query('SELECT COUNT(*) as total FROM users');
-    return parseInt(result.rows[0].total);
+  // Count total users, optionally matching the same filters as findAll
+  static async count(filters = {}) {
+    return users().count(filters);
   }
 }
 
@@ -0,0 +1,41 @@
+const { getRepositories } = require('../repositories');
+
+// Storage backend (Postgres or in-memory), see src/repositories
+const userIdentities = () => getRepositories().userIdentities;
+
+// An account at an OAuth2 / OpenID Connect provider linked to a user
+class UserIdentity {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.provider = data.provider;
+    this.subject = data.subject;
+    this.email = data.email;
+    this.created_at = data.created_at;
+    this.last_login_at = data.last_login_at;
+  }
+
+  // Link a provider subject to a user
+  static async create({ userId, provider, subject, email }) {
+    const row = await userIdentities().create({ userId, provider, subject, email });
+    return new UserIdentity(row);
+  }
+
+  static async findByProviderSubject(provider, subject) {
+    const row = await userIdentities().findByProviderSubject(provider, subject);
+    return row ? new UserIdentity(row) : null;
+  }
+
+  static async findByUserId(userId) {
+    const rows = await userIdentities().findByUserId(userId);
+    return rows.map(row => new UserIdentity(row));
+  }
+
+  // Record a sign-in through this identity
+  async touchLogin() {
+    await userIdentities().touchLogin(this.id);
+    this.last_login_at = new Date();
+  }
+}
+
+module.exports = UserIdentity;
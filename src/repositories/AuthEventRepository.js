@@ -0,0 +1,146 @@
+const db = require('../../db');
+
+/**
+ * Audit log storage (rows of the append-only auth_events table).
+ *   create({ eventType, outcome, reason, userId, actorId, email, ipAddress, userAgent, metadata }) -> row
+ *   findAll(limit, offset, filters) -> rows, newest first
+ *   count(filters)
+ * filters: { userId, actorId, eventType, outcome, ipAddress, from, before (exclusive) }
+ */
+
+// Equality filters and the columns they match
+const FILTER_COLUMNS = {
+  userId: 'user_id',
+  actorId: 'actor_id',
+  eventType: 'event_type',
+  outcome: 'outcome',
+  ipAddress: 'ip_address'
+};
+
+class PostgresAuthEventRepository {
+  constructor(client = db) {
+    this.db = client;
+  }
+
+  async create({ eventType, outcome, reason, userId, actorId, email, ipAddress, userAgent, metadata }) {
+    const result = await this.db.query(
+      `INSERT INTO auth_events
+         (event_type, outcome, reason, user_id, actor_id, email, ip_address, user_agent, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        eventType,
+        outcome,
+        reason || null,
+        userId || null,
+        actorId || null,
+        email || null,
+        ipAddress || null,
+        userAgent || null,
+        metadata ? JSON.stringify(metadata) : null
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  // Build the WHERE clause shared by findAll and count
+  buildFilterClause(filters = {}) {
+    const conditions = [];
+    const values = [];
+
+    for (const [filter, column] of Object.entries(FILTER_COLUMNS)) {
+      if (filters[filter] !== undefined) {
+        values.push(filters[filter]);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    }
+
+    if (filters.from) {
+      values.push(filters.from);
+      conditions.push(`created_at >= $${values.length}`);
+    }
+
+    if (filters.before) {
+      values.push(filters.before);
+      conditions.push(`created_at < $${values.length}`);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+
+  async findAll(limit, offset, filters = {}) {
+    const { where, values } = this.buildFilterClause(filters);
+
+    values.push(limit, offset);
+    const result = await this.db.query(
+      `SELECT * FROM auth_events ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+
+    return result.rows;
+  }
+
+  async count(filters = {}) {
+    const { where, values } = this.buildFilterClause(filters);
+    const result = await this.db.query(`SELECT COUNT(*) as total FROM auth_events ${where}`, values);
+    return parseInt(result.rows[0].total);
+  }
+}
+
+// Audit events held in a MemoryDatabase
+class MemoryAuthEventRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async create({ eventType, outcome, reason, userId, actorId, email, ipAddress, userAgent, metadata }) {
+    const event = {
+      id: this.database.nextId('auth_events'),
+      event_type: eventType,
+      outcome,
+      reason: reason || null,
+      user_id: userId || null,
+      actor_id: actorId || null,
+      email: email || null,
+      ip_address: ipAddress || null,
+      user_agent: userAgent || null,
+      metadata: metadata || null,
+      created_at: new Date()
+    };
+    this.database.authEvents.push(event);
+
+    return { ...event };
+  }
+
+  filter(filters = {}) {
+    return this.database.authEvents.filter(event =>
+      Object.entries(FILTER_COLUMNS).every(([filter, column]) =>
+        filters[filter] === undefined || event[column] === filters[filter]
+      ) &&
+      (!filters.from || event.created_at >= filters.from) &&
+      (!filters.before || event.created_at < filters.before)
+    );
+  }
+
+  async findAll(limit, offset, filters = {}) {
+    return this.filter(filters)
+      .sort((a, b) => (b.created_at - a.created_at) || (b.id - a.id))
+      .slice(offset, offset + limit)
+      .map(event => ({ ...event }));
+  }
+
+  async count(filters = {}) {
+    return this.filter(filters).length;
+  }
+}
+
+module.exports = {
+  PostgresAuthEventRepository,
+  MemoryAuthEventRepository
+};
@@ -0,0 +1,79 @@
+/**
+ * Process-local tables shared by the in-memory repositories.
+ * Mirrors the Postgres schema closely enough for the repositories to enforce
+ * the same rules (unique emails, cascading deletes, seeded roles). Data is
+ * lost on restart.
+ */
+
+const SEED_ROLES = [
+  { name: 'admin', description: 'Full administrative access' },
+  { name: 'user', description: 'Regular account' }
+];
+
+const SEED_PERMISSIONS = [
+  { name: 'users:read', description: 'View user accounts' },
+  { name: 'users:write', description: 'Modify user accounts' },
+  { name: 'users:delete', description: 'Delete user accounts' },
+  { name: 'roles:assign', description: 'Grant and revoke roles' }
+];
+
+class MemoryDatabase {
+  constructor() {
+    this.users = new Map();
+    this.refreshTokens = new Map();
+    this.sessions = new Map();
+    this.passwordResetTokens = new Map();
+    this.recoveryCodes = new Map();
+    this.roles = new Map();
+    this.permissions = new Map();
+    this.rolePermissions = [];
+    this.userRoles = [];
+    this.authEvents = [];
+    this.userIdentities = new Map();
+    this.oauthLoginCodes = new Map();
+    this.sequences = {};
+
+    this.seed();
+  }
+
+  // Next value of a per-table id sequence (like SERIAL)
+  nextId(table) {
+    this.sequences[table] = (this.sequences[table] || 0) + 1;
+    return this.sequences[table];
+  }
+
+  // Default roles and permissions; admins hold every permission
+  seed() {
+    const now = new Date();
+
+    for (const role of SEED_ROLES) {
+      const id = this.nextId('roles');
+      this.roles.set(id, { id, ...role, created_at: now });
+    }
+
+    for (const permission of SEED_PERMISSIONS) {
+      const id = this.nextId('permissions');
+      this.permissions.set(id, { id, ...permission, created_at: now });
+    }
+
+    const admin = [...this.roles.values()].find(role => role.name === 'admin');
+    for (const permission of this.permissions.values()) {
+      this.rolePermissions.push({ role_id: admin.id, permission_id: permission.id });
+    }
+  }
+
+  // Remove everything that references a user (ON DELETE CASCADE)
+  deleteUserCascade(userId) {
+    for (const table of [this.refreshTokens, this.sessions, this.passwordResetTokens, this.recoveryCodes, this.userIdentities, this.oauthLoginCodes]) {
+      for (const [id, row] of table.entries()) {
+        if (row.user_id === userId) {
+          table.delete(id);
+        }
+      }
+    }
+
+    this.userRoles = this.userRoles.filter(row => row.user_id !== userId);
+  }
+}
+
+module.exports = MemoryDatabase;
@@ -0,0 +1,79 @@
+const db = require('../../db');
+
+/**
+ * Social login handoff codes (rows of the oauth_login_codes table).
+ *   create({ userId, provider, codeHash, expiresAt }) -> row
+ *   consume(codeHash)           -> row marked used, or null if unknown, expired or used
+ */
+
+class PostgresOAuthLoginCodeRepository {
+  constructor(client = db) {
+    this.db = client;
+  }
+
+  async create({ userId, provider, codeHash, expiresAt }) {
+    const result = await this.db.query(
+      `INSERT INTO oauth_login_codes (user_id, provider, code_hash, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [userId, provider, codeHash, expiresAt]
+    );
+
+    return result.rows[0];
+  }
+
+  async consume(codeHash) {
+    const result = await this.db.query(
+      `UPDATE oauth_login_codes
+       SET used_at = now()
+       WHERE code_hash = $1 AND used_at IS NULL AND expires_at > now()
+       RETURNING *`,
+      [codeHash]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+// Handoff codes held in a MemoryDatabase
+class MemoryOAuthLoginCodeRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  get codes() {
+    return this.database.oauthLoginCodes;
+  }
+
+  async create({ userId, provider, codeHash, expiresAt }) {
+    const code = {
+      id: this.database.nextId('oauth_login_codes'),
+      user_id: userId,
+      provider,
+      code_hash: codeHash,
+      expires_at: expiresAt,
+      used_at: null,
+      created_at: new Date()
+    };
+    this.codes.set(code.id, code);
+
+    return { ...code };
+  }
+
+  async consume(codeHash) {
+    const code = [...this.codes.values()].find(row =>
+      row.code_hash === codeHash && !row.used_at && new Date(row.expires_at).getTime() > Date.now()
+    );
+    if (!code) {
+      return null;
+    }
+
+    code.used_at = new Date();
+    return { ...code };
+  }
+}
+
+module.exports = {
+  PostgresOAuthLoginCodeRepository,
+  MemoryOAuthLoginCodeRepository
+};
@@ -0,0 +1,101 @@
+const db = require('../../db');
+
+/**
+ * Password reset token storage (rows of the password_reset_tokens table).
+ *   create({ userId, tokenHash, expiresAt }) -> row
+ *   consume(tokenHash)          -> row marked used, or null if unknown, expired or used
+ *   invalidateForUser(userId)   -> number of tokens retired
+ */
+
+class PostgresPasswordResetTokenRepository {
+  constructor(client = db) {
+    this.db = client;
+  }
+
+  async create({ userId, tokenHash, expiresAt }) {
+    const result = await this.db.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [userId, tokenHash, expiresAt]
+    );
+
+    return result.rows[0];
+  }
+
+  async consume(tokenHash) {
+    const result = await this.db.query(
+      `UPDATE password_reset_tokens
+       SET used_at = now()
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > now()
+       RETURNING *`,
+      [tokenHash]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async invalidateForUser(userId) {
+    const result = await this.db.query(
+      'UPDATE password_reset_tokens SET used_at = now() WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    return result.rowCount;
+  }
+}
+
+// Reset tokens held in a MemoryDatabase
+class MemoryPasswordResetTokenRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  get tokens() {
+    return this.database.passwordResetTokens;
+  }
+
+  async create({ userId, tokenHash, expiresAt }) {
+    const token = {
+      id: this.database.nextId('password_reset_tokens'),
+      user_id: userId,
+      token_hash: tokenHash,
+      expires_at: expiresAt,
+      used_at: null,
+      created_at: new Date()
+    };
+    this.tokens.set(token.id, token);
+
+    return { ...token };
+  }
+
+  async consume(tokenHash) {
+    const token = [...this.tokens.values()].find(row =>
+      row.token_hash === tokenHash && !row.used_at && new Date(row.expires_at).getTime() > Date.now()
+    );
+    if (!token) {
+      return null;
+    }
+
+    token.used_at = new Date();
+    return { ...token };
+  }
+
+  async invalidateForUser(userId) {
+    let retired = 0;
+
+    for (const token of this.tokens.values()) {
+      if (token.user_id === userId && !token.used_at) {
+        token.used_at = new Date();
+        retired++;
+      }
+    }
+
+    return retired;
+  }
+}
+
+module.exports = {
+  PostgresPasswordResetTokenRepository,
+  MemoryPasswordResetTokenRepository
+};
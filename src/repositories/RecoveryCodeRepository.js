@@ -0,0 +1,100 @@
+const db = require('../../db');
+
+/**
+ * 2FA recovery code storage (rows of the recovery_codes table).
+ *   replaceForUser(userId, codeHashes)
+ *   consume(userId, codeHash)   -> true if an unused code was used up
+ *   countRemaining(userId)      -> number of unused codes
+ *   deleteForUser(userId)
+ */
+
+class PostgresRecoveryCodeRepository {
+  constructor(client = db) {
+    this.db = client;
+  }
+
+  async replaceForUser(userId, codeHashes) {
+    await this.deleteForUser(userId);
+
+    for (const codeHash of codeHashes) {
+      await this.db.query(
+        'INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, codeHash]
+      );
+    }
+  }
+
+  async consume(userId, codeHash) {
+    const result = await this.db.query(
+      `UPDATE recovery_codes
+       SET used_at = now()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, codeHash]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  async countRemaining(userId) {
+    const result = await this.db.query(
+      'SELECT COUNT(*) as total FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    return parseInt(result.rows[0].total);
+  }
+
+  async deleteForUser(userId) {
+    await this.db.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  }
+}
+
+// Recovery codes held in a MemoryDatabase
+class MemoryRecoveryCodeRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  get codes() {
+    return this.database.recoveryCodes;
+  }
+
+  async replaceForUser(userId, codeHashes) {
+    await this.deleteForUser(userId);
+
+    for (const codeHash of codeHashes) {
+      const id = this.database.nextId('recovery_codes');
+      this.codes.set(id, { id, user_id: userId, code_hash: codeHash, used_at: null, created_at: new Date() });
+    }
+  }
+
+  async consume(userId, codeHash) {
+    const code = [...this.codes.values()].find(row =>
+      row.user_id === userId && row.code_hash === codeHash && !row.used_at
+    );
+    if (!code) {
+      return false;
+    }
+
+    code.used_at = new Date();
+    return true;
+  }
+
+  async countRemaining(userId) {
+    return [...this.codes.values()].filter(row => row.user_id === userId && !row.used_at).length;
+  }
+
+  async deleteForUser(userId) {
+    for (const [id, row] of this.codes.entries()) {
+      if (row.user_id === userId) {
+        this.codes.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = {
+  PostgresRecoveryCodeRepository,
+  MemoryRecoveryCodeRepository
+};
@@ -0,0 +1,178 @@
+const db = require('../../db');
+
+/**
+ * Refresh token storage (rows of the refresh_tokens table).
+ *   create({ userId, tokenHash, familyId, expiresAt }) -> row
+ *   findByHash(tokenHash)                   -> row | null
+ *   rotate(id, replacedById)                -> revoked_at, or null if already revoked
+ *   revokeFamily(familyId, reason)          -> number of tokens revoked
+ *   revokeAllForUser(userId, reason)        -> number of tokens revoked
+ *   revokeOtherFamilies(userId, keepFamilyId, reason) -> number of tokens revoked
+ *   isFamilyRevoked(familyId)               -> boolean
+ */
+
+class PostgresRefreshTokenRepository {
+  constructor(client = db) {
+    this.db = client;
+  }
+
+  async create({ userId, tokenHash, familyId, expiresAt }) {
+    const result = await this.db.query(
+      `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [userId, tokenHash, familyId, expiresAt]
+    );
+
+    return result.rows[0];
+  }
+
+  async findByHash(tokenHash) {
+    const result = await this.db.query(
+      'SELECT * FROM refresh_tokens WHERE token_hash = $1',
+      [tokenHash]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async rotate(id, replacedById) {
+    const result = await this.db.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = now(), revoked_reason = 'rotated', replaced_by = $1
+       WHERE id = $2 AND revoked_at IS NULL
+       RETURNING revoked_at`,
+      [replacedById, id]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].revoked_at : null;
+  }
+
+  async revokeFamily(familyId, reason) {
+    const result = await this.db.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = now(), revoked_reason = $1
+       WHERE family_id = $2 AND revoked_at IS NULL`,
+      [reason, familyId]
+    );
+
+    return result.rowCount;
+  }
+
+  async revokeAllForUser(userId, reason) {
+    const result = await this.db.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = now(), revoked_reason = $1
+       WHERE user_id = $2 AND revoked_at IS NULL`,
+      [reason, userId]
+    );
+
+    return result.rowCount;
+  }
+
+  async revokeOtherFamilies(userId, keepFamilyId, reason) {
+    const result = await this.db.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = now(), revoked_reason = $1
+       WHERE user_id = $2 AND family_id <> $3 AND revoked_at IS NULL`,
+      [reason, userId, keepFamilyId]
+    );
+
+    return result.rowCount;
+  }
+
+  async isFamilyRevoked(familyId) {
+    const result = await this.db.query(
+      `SELECT 1 FROM refresh_tokens
+       WHERE family_id = $1 AND revoked_reason IS NOT NULL AND revoked_reason <> 'rotated'
+       LIMIT 1`,
+      [familyId]
+    );
+
+    return result.rows.length > 0;
+  }
+}
+
+// Refresh tokens held in a MemoryDatabase
+class MemoryRefreshTokenRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  get tokens() {
+    return this.database.refreshTokens;
+  }
+
+  async create({ userId, tokenHash, familyId, expiresAt }) {
+    if ([...this.tokens.values()].some(token => token.token_hash === tokenHash)) {
+      throw new Error('Duplicate refresh token');
+    }
+
+    const token = {
+      id: this.database.nextId('refresh_tokens'),
+      user_id: userId,
+      token_hash: tokenHash,
+      family_id: familyId,
+      expires_at: expiresAt,
+      revoked_at: null,
+      revoked_reason: null,
+      replaced_by: null,
+      created_at: new Date()
+    };
+    this.tokens.set(token.id, token);
+
+    return { ...token };
+  }
+
+  async findByHash(tokenHash) {
+    const token = [...this.tokens.values()].find(row => row.token_hash === tokenHash);
+    return token ? { ...token } : null;
+  }
+
+  async rotate(id, replacedById) {
+    const token = this.tokens.get(id);
+    if (!token || token.revoked_at) {
+      return null;
+    }
+
+    Object.assign(token, { revoked_at: new Date(), revoked_reason: 'rotated', replaced_by: replacedById });
+    return token.revoked_at;
+  }
+
+  // Revoke the active tokens matching `predicate`, returning how many
+  revokeWhere(predicate, reason) {
+    let revoked = 0;
+
+    for (const token of this.tokens.values()) {
+      if (!token.revoked_at && predicate(token)) {
+        Object.assign(token, { revoked_at: new Date(), revoked_reason: reason });
+        revoked++;
+      }
+    }
+
+    return revoked;
+  }
+
+  async revokeFamily(familyId, reason) {
+    return this.revokeWhere(token => token.family_id === familyId, reason);
+  }
+
+  async revokeAllForUser(userId, reason) {
+    return this.revokeWhere(token => token.user_id === userId, reason);
+  }
+
+  async revokeOtherFamilies(userId, keepFamilyId, reason) {
+    return this.revokeWhere(token => token.user_id === userId && token.family_id !== keepFamilyId, reason);
+  }
+
+  async isFamilyRevoked(familyId) {
+    return [...this.tokens.values()].some(token =>
+      token.family_id === familyId && token.revoked_reason && token.revoked_reason !== 'rotated'
+    );
+  }
+}
+
+module.exports = {
+  PostgresRefreshTokenRepository,
+  MemoryRefreshTokenRepository
+};
@@ -0,0 +1,136 @@
+const db = require('../../db');
+
+/**
+ * Role and permission storage (roles, permissions, role_permissions, user_roles).
+ *   findByName(name)                    -> row | null
+ *   findAll()                           -> rows ordered by name
+ *   findNamesByUserId(userId)           -> role names
+ *   findPermissionNamesByRoles(names)   -> permission names
+ *   assignToUser(userId, roleId)        (no-op if already granted)
+ *   removeFromUser(userId, roleName)    -> true if the role was granted
+ */
+
+class PostgresRoleRepository {
+  constructor(client = db) {
+    this.db = client;
+  }
+
+  async findByName(name) {
+    const result = await this.db.query(
+      'SELECT id, name, description, created_at FROM roles WHERE name = $1',
+      [name]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async findAll() {
+    const result = await this.db.query(
+      'SELECT id, name, description, created_at FROM roles ORDER BY name'
+    );
+
+    return result.rows;
+  }
+
+  async findNamesByUserId(userId) {
+    const result = await this.db.query(
+      `SELECT r.name FROM roles r
+       JOIN user_roles ur ON ur.role_id = r.id
+       WHERE ur.user_id = $1
+       ORDER BY r.name`,
+      [userId]
+    );
+
+    return result.rows.map(row => row.name);
+  }
+
+  async findPermissionNamesByRoles(roleNames) {
+    const result = await this.db.query(
+      `SELECT DISTINCT p.name FROM permissions p
+       JOIN role_permissions rp ON rp.permission_id = p.id
+       JOIN roles r ON r.id = rp.role_id
+       WHERE r.name = ANY($1)`,
+      [roleNames]
+    );
+
+    return result.rows.map(row => row.name);
+  }
+
+  async assignToUser(userId, roleId) {
+    await this.db.query(
+      `INSERT INTO user_roles (user_id, role_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [userId, roleId]
+    );
+  }
+
+  async removeFromUser(userId, roleName) {
+    const result = await this.db.query(
+      `DELETE FROM user_roles
+       WHERE user_id = $1 AND role_id = (SELECT id FROM roles WHERE name = $2)`,
+      [userId, roleName]
+    );
+
+    return result.rowCount > 0;
+  }
+}
+
+// Roles held in a MemoryDatabase
+class MemoryRoleRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async findByName(name) {
+    const role = [...this.database.roles.values()].find(row => row.name === name);
+    return role ? { ...role } : null;
+  }
+
+  async findAll() {
+    return [...this.database.roles.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(role => ({ ...role }));
+  }
+
+  async findNamesByUserId(userId) {
+    return this.database.userRoles
+      .filter(row => row.user_id === userId)
+      .map(row => this.database.roles.get(row.role_id).name)
+      .sort();
+  }
+
+  async findPermissionNamesByRoles(roleNames) {
+    const roleIds = [...this.database.roles.values()]
+      .filter(role => roleNames.includes(role.name))
+      .map(role => role.id);
+
+    const names = this.database.rolePermissions
+      .filter(row => roleIds.includes(row.role_id))
+      .map(row => this.database.permissions.get(row.permission_id).name);
+
+    return [...new Set(names)];
+  }
+
+  async assignToUser(userId, roleId) {
+    const granted = this.database.userRoles.some(row => row.user_id === userId && row.role_id === roleId);
+    if (!granted) {
+      this.database.userRoles.push({ user_id: userId, role_id: roleId, created_at: new Date() });
+    }
+  }
+
+  async removeFromUser(userId, roleName) {
+    const role = await this.findByName(roleName);
+    const before = this.database.userRoles.length;
+
+    this.database.userRoles = this.database.userRoles.filter(row =>
+      !(role && row.user_id === userId && row.role_id === role.id)
+    );
+
+    return this.database.userRoles.length < before;
+  }
+}
+
+module.exports = {
+  PostgresRoleRepository,
+  MemoryRoleRepository
+};
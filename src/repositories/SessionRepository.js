@@ -0,0 +1,174 @@
+const db = require('../../db');
+
+/**
+ * Session storage (rows of the sessions table).
+ *   create({ id, userId, userAgent, ipAddress, deviceLabel, expiresAt }) -> row
+ *   findById(id)                     -> row | null
+ *   findActiveByUser(userId)         -> rows, most recently used first
+ *   touch(id, { ipAddress, expiresAt })
+ *   revoke(id)                       -> true if the session was active
+ *   revokeAllForUser(userId)         -> number of sessions revoked
+ *   revokeOthersForUser(userId, keepId) -> number of sessions revoked
+ */
+
+class PostgresSessionRepository {
+  constructor(client = db) {
+    this.db = client;
+  }
+
+  async create({ id, userId, userAgent, ipAddress, deviceLabel, expiresAt }) {
+    const result = await this.db.query(
+      `INSERT INTO sessions (id, user_id, user_agent, ip_address, device_label, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [id, userId, userAgent || null, ipAddress || null, deviceLabel, expiresAt]
+    );
+
+    return result.rows[0];
+  }
+
+  async findById(id) {
+    const result = await this.db.query(
+      'SELECT * FROM sessions WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async findActiveByUser(userId) {
+    const result = await this.db.query(
+      `SELECT * FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > now()
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  async touch(id, { ipAddress, expiresAt }) {
+    await this.db.query(
+      `UPDATE sessions
+       SET last_used_at = now(), expires_at = $1, ip_address = COALESCE($2, ip_address)
+       WHERE id = $3`,
+      [expiresAt, ipAddress || null, id]
+    );
+  }
+
+  async revoke(id) {
+    const result = await this.db.query(
+      'UPDATE sessions SET revoked_at = now() WHERE id = $1 AND revoked_at IS NULL',
+      [id]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  async revokeAllForUser(userId) {
+    const result = await this.db.query(
+      'UPDATE sessions SET revoked_at = now() WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+
+    return result.rowCount;
+  }
+
+  async revokeOthersForUser(userId, keepId) {
+    const result = await this.db.query(
+      'UPDATE sessions SET revoked_at = now() WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL',
+      [userId, keepId]
+    );
+
+    return result.rowCount;
+  }
+}
+
+// Sessions held in a MemoryDatabase
+class MemorySessionRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  get sessions() {
+    return this.database.sessions;
+  }
+
+  async create({ id, userId, userAgent, ipAddress, deviceLabel, expiresAt }) {
+    if (this.sessions.has(id)) {
+      throw new Error('Duplicate session id');
+    }
+
+    const now = new Date();
+    const session = {
+      id,
+      user_id: userId,
+      user_agent: userAgent || null,
+      ip_address: ipAddress || null,
+      device_label: deviceLabel,
+      created_at: now,
+      last_used_at: now,
+      expires_at: expiresAt,
+      revoked_at: null
+    };
+    this.sessions.set(id, session);
+
+    return { ...session };
+  }
+
+  async findById(id) {
+    const session = this.sessions.get(id);
+    return session ? { ...session } : null;
+  }
+
+  async findActiveByUser(userId) {
+    const now = Date.now();
+
+    return [...this.sessions.values()]
+      .filter(session => session.user_id === userId && !session.revoked_at && new Date(session.expires_at).getTime() > now)
+      .sort((a, b) => b.last_used_at - a.last_used_at)
+      .map(session => ({ ...session }));
+  }
+
+  async touch(id, { ipAddress, expiresAt }) {
+    const session = this.sessions.get(id);
+    if (session) {
+      Object.assign(session, {
+        last_used_at: new Date(),
+        expires_at: expiresAt,
+        ip_address: ipAddress || session.ip_address
+      });
+    }
+  }
+
+  // Revoke the active sessions matching `predicate`, returning how many
+  revokeWhere(predicate) {
+    let revoked = 0;
+
+    for (const session of this.sessions.values()) {
+      if (!session.revoked_at && predicate(session)) {
+        session.revoked_at = new Date();
+        revoked++;
+      }
+    }
+
+    return revoked;
+  }
+
+  async revoke(id) {
+    return this.revokeWhere(session => session.id === id) > 0;
+  }
+
+  async revokeAllForUser(userId) {
+    return this.revokeWhere(session => session.user_id === userId);
+  }
+
+  async revokeOthersForUser(userId, keepId) {
+    return this.revokeWhere(session => session.user_id === userId && session.id !== keepId);
+  }
+}
+
+module.exports = {
+  PostgresSessionRepository,
+  MemorySessionRepository
+};
@@ -0,0 +1,115 @@
+const db = require('../../db');
+
+/**
+ * External identities linked to users (rows of the user_identities table).
+ *   create({ userId, provider, subject, email }) -> row; throws 'Identity already linked'
+ *                                                   when the provider subject is taken
+ *   findByProviderSubject(provider, subject)     -> row | null
+ *   findByUserId(userId)                         -> rows, oldest first
+ *   touchLogin(id)
+ */
+
+const UNIQUE_VIOLATION = '23505';
+
+class PostgresUserIdentityRepository {
+  constructor(client = db) {
+    this.db = client;
+  }
+
+  async create({ userId, provider, subject, email }) {
+    try {
+      const result = await this.db.query(
+        `INSERT INTO user_identities (user_id, provider, subject, email)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [userId, provider, subject, email]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Identity already linked');
+      }
+      throw error;
+    }
+  }
+
+  async findByProviderSubject(provider, subject) {
+    const result = await this.db.query(
+      'SELECT * FROM user_identities WHERE provider = $1 AND subject = $2',
+      [provider, subject]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async findByUserId(userId) {
+    const result = await this.db.query(
+      'SELECT * FROM user_identities WHERE user_id = $1 ORDER BY created_at, id',
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  async touchLogin(id) {
+    await this.db.query('UPDATE user_identities SET last_login_at = now() WHERE id = $1', [id]);
+  }
+}
+
+// Identities held in a MemoryDatabase
+class MemoryUserIdentityRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  get identities() {
+    return this.database.userIdentities;
+  }
+
+  async create({ userId, provider, subject, email }) {
+    if (await this.findByProviderSubject(provider, subject)) {
+      throw new Error('Identity already linked');
+    }
+
+    const id = this.database.nextId('user_identities');
+    const row = {
+      id,
+      user_id: userId,
+      provider,
+      subject,
+      email: email || null,
+      created_at: new Date(),
+      last_login_at: null
+    };
+    this.identities.set(id, row);
+
+    return { ...row };
+  }
+
+  async findByProviderSubject(provider, subject) {
+    const row = [...this.identities.values()].find(identity =>
+      identity.provider === provider && identity.subject === subject
+    );
+
+    return row ? { ...row } : null;
+  }
+
+  async findByUserId(userId) {
+    return [...this.identities.values()]
+      .filter(identity => identity.user_id === userId)
+      .map(identity => ({ ...identity }));
+  }
+
+  async touchLogin(id) {
+    const row = this.identities.get(id);
+    if (row) {
+      row.last_login_at = new Date();
+    }
+  }
+}
+
+module.exports = {
+  PostgresUserIdentityRepository,
+  MemoryUserIdentityRepository
+};
@@ -0,0 +1,344 @@
+const db = require('../../db');
+
+/**
+ * User storage.
+ * Repositories return plain rows (snake_case columns, as in the users table);
+ * the User model wraps them. Rows from findByEmail include the password hash,
+ * every other method leaves it out.
+ *   create({ email, password })       -> row; throws 'User already exists' for a taken email
+ *                                        (password is null for accounts created through a provider)
+ *   findByEmail(email) / findById(id) -> row | null
+ *   update(id, fields)                -> row | null
+ *   incrementFailedLogins(id)         -> new count | null
+ *   resetFailedLogins(id)
+ *   claimLoginAttempt(id, lockedUntil) -> row | null if the account is locked
+ *   markTotpStepUsed(id, step)        -> true if step is newer than the last used one
+ *   incrementTokenVersion(id)         -> new version | null
+ *   delete(id)                        -> boolean
+ *   findAll(limit, offset, filters) / count(filters)
+ */
+
+// Columns the admin listing may be sorted by
+const SORTABLE_COLUMNS = ['created_at', 'email', 'id'];
+
+// Every column except the password hash
+const USER_COLUMNS = 'id, email, token_version, email_verified_at, totp_secret, totp_enabled_at, totp_last_used_step, failed_login_count, locked_until, disabled_at, password_reset_required_at, created_at';
+
+const UNIQUE_VIOLATION = '23505';
+
+class PostgresUserRepository {
+  constructor(client = db) {
+    this.db = client;
+  }
+
+  async create({ email, password }) {
+    try {
+      const result = await this.db.query(
+        `INSERT INTO users (email, password) VALUES ($1, $2) RETURNING ${USER_COLUMNS}`,
+        [email, password]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      // Lost a race against a concurrent registration with the same email
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('User already exists');
+      }
+      throw error;
+    }
+  }
+
+  async findByEmail(email) {
+    const result = await this.db.query(
+      `SELECT ${USER_COLUMNS}, password FROM users WHERE email = $1`,
+      [email]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async findById(id) {
+    const result = await this.db.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async update(id, fields) {
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+    const result = await this.db.query(
+      `UPDATE users
+       SET ${assignments.join(', ')}
+       WHERE id = $${columns.length + 1}
+       RETURNING ${USER_COLUMNS}`,
+      [...Object.values(fields), id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async incrementFailedLogins(id) {
+    const result = await this.db.query(
+      'UPDATE users SET failed_login_count = failed_login_count + 1 WHERE id = $1 RETURNING failed_login_count',
+      [id]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].failed_login_count : null;
+  }
+
+  async resetFailedLogins(id) {
+    await this.db.query(
+      'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1',
+      [id]
+    );
+  }
+
+  async claimLoginAttempt(id, lockedUntil) {
+    const result = await this.db.query(
+      `UPDATE users SET locked_until = $2
+       WHERE id = $1 AND (locked_until IS NULL OR locked_until <= now())
+       RETURNING ${USER_COLUMNS}`,
+      [id, lockedUntil]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async markTotpStepUsed(id, step) {
+    const result = await this.db.query(
+      `UPDATE users SET totp_last_used_step = $1
+       WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+       RETURNING totp_last_used_step`,
+      [step, id]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  async incrementTokenVersion(id) {
+    const result = await this.db.query(
+      'UPDATE users SET token_version = token_version + 1 WHERE id = $1 RETURNING token_version',
+      [id]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].token_version : null;
+  }
+
+  async delete(id) {
+    const result = await this.db.query(
+      'DELETE FROM users WHERE id = $1 RETURNING id',
+      [id]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // Build the WHERE clause shared by findAll and count.
+  // filters: { search, createdFrom, createdBefore (exclusive) }
+  buildFilterClause(filters = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.search) {
+      // Treat LIKE wildcards in the search term literally
+      const term = filters.search.toLowerCase().replace(/[\\%_]/g, '\\$&');
+      values.push(`%${term}%`);
+      conditions.push(`email LIKE $${values.length}`);
+    }
+
+    if (filters.createdFrom) {
+      values.push(filters.createdFrom);
+      conditions.push(`created_at >= $${values.length}`);
+    }
+
+    if (filters.createdBefore) {
+      values.push(filters.createdBefore);
+      conditions.push(`created_at < $${values.length}`);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+
+  async findAll(limit, offset, filters = {}) {
+    const { where, values } = this.buildFilterClause(filters);
+    const sort = SORTABLE_COLUMNS.includes(filters.sort) ? filters.sort : 'created_at';
+    const order = filters.order === 'asc' ? 'ASC' : 'DESC';
+
+    values.push(limit, offset);
+    const result = await this.db.query(
+      `SELECT ${USER_COLUMNS} FROM users ${where}
+       ORDER BY ${sort} ${order}, id ${order}
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+
+    return result.rows;
+  }
+
+  async count(filters = {}) {
+    const { where, values } = this.buildFilterClause(filters);
+    const result = await this.db.query(`SELECT COUNT(*) as total FROM users ${where}`, values);
+    return parseInt(result.rows[0].total);
+  }
+}
+
+// Users held in a MemoryDatabase
+class MemoryUserRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  // Copy of a stored row, optionally without the password hash
+  toRow(user, { withPassword = false } = {}) {
+    if (!user) {
+      return null;
+    }
+
+    const { password, ...row } = user;
+    return withPassword ? { ...row, password } : row;
+  }
+
+  async create({ email, password }) {
+    if ([...this.database.users.values()].some(user => user.email === email)) {
+      throw new Error('User already exists');
+    }
+
+    const user = {
+      id: this.database.nextId('users'),
+      email,
+      password,
+      token_version: 0,
+      email_verified_at: null,
+      totp_secret: null,
+      totp_enabled_at: null,
+      totp_last_used_step: null,
+      failed_login_count: 0,
+      locked_until: null,
+      disabled_at: null,
+      password_reset_required_at: null,
+      created_at: new Date()
+    };
+    this.database.users.set(user.id, user);
+
+    return this.toRow(user);
+  }
+
+  async findByEmail(email) {
+    const user = [...this.database.users.values()].find(row => row.email === email);
+    return this.toRow(user, { withPassword: true });
+  }
+
+  async findById(id) {
+    return this.toRow(this.database.users.get(Number(id)));
+  }
+
+  async update(id, fields) {
+    const user = this.database.users.get(Number(id));
+    if (!user) {
+      return null;
+    }
+
+    if (fields.email !== undefined && fields.email !== user.email &&
+        [...this.database.users.values()].some(row => row.email === fields.email)) {
+      throw new Error('User already exists');
+    }
+
+    Object.assign(user, fields);
+    return this.toRow(user);
+  }
+
+  async incrementFailedLogins(id) {
+    const user = this.database.users.get(Number(id));
+    if (!user) {
+      return null;
+    }
+
+    user.failed_login_count += 1;
+    return user.failed_login_count;
+  }
+
+  async resetFailedLogins(id) {
+    const user = this.database.users.get(Number(id));
+    if (user) {
+      user.failed_login_count = 0;
+      user.locked_until = null;
+    }
+  }
+
+  async claimLoginAttempt(id, lockedUntil) {
+    const user = this.database.users.get(Number(id));
+    if (!user || (user.locked_until && new Date(user.locked_until).getTime() > Date.now())) {
+      return null;
+    }
+
+    user.locked_until = lockedUntil;
+    return this.toRow(user);
+  }
+
+  async markTotpStepUsed(id, step) {
+    const user = this.database.users.get(Number(id));
+    if (!user || (user.totp_last_used_step !== null && user.totp_last_used_step >= step)) {
+      return false;
+    }
+
+    user.totp_last_used_step = step;
+    return true;
+  }
+
+  async incrementTokenVersion(id) {
+    const user = this.database.users.get(Number(id));
+    if (!user) {
+      return null;
+    }
+
+    user.token_version += 1;
+    return user.token_version;
+  }
+
+  async delete(id) {
+    const userId = Number(id);
+    if (!this.database.users.delete(userId)) {
+      return false;
+    }
+
+    this.database.deleteUserCascade(userId);
+    return true;
+  }
+
+  filter(filters = {}) {
+    const search = filters.search && filters.search.toLowerCase();
+
+    return [...this.database.users.values()].filter(user =>
+      (!search || user.email.includes(search)) &&
+      (!filters.createdFrom || user.created_at >= filters.createdFrom) &&
+      (!filters.createdBefore || user.created_at < filters.createdBefore)
+    );
+  }
+
+  async findAll(limit, offset, filters = {}) {
+    const sort = SORTABLE_COLUMNS.includes(filters.sort) ? filters.sort : 'created_at';
+    const direction = filters.order === 'asc' ? 1 : -1;
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+    return this.filter(filters)
+      .sort((a, b) => direction * (compare(a[sort], b[sort]) || compare(a.id, b.id)))
+      .slice(offset, offset + limit)
+      .map(user => this.toRow(user));
+  }
+
+  async count(filters = {}) {
+    return this.filter(filters).length;
+  }
+}
+
+module.exports = {
+  PostgresUserRepository,
+  MemoryUserRepository
+};
@@ -0,0 +1,82 @@
+const configManager = require('../../config/config-manager');
+const { fromAppScope } = require('../utils/appScope');
+const MemoryDatabase = require('./MemoryDatabase');
+const { PostgresUserRepository, MemoryUserRepository } = require('./UserRepository');
+const { PostgresRefreshTokenRepository, MemoryRefreshTokenRepository } = require('./RefreshTokenRepository');
+const { PostgresSessionRepository, MemorySessionRepository } = require('./SessionRepository');
+const { PostgresPasswordResetTokenRepository, MemoryPasswordResetTokenRepository } = require('./PasswordResetTokenRepository');
+const { PostgresRecoveryCodeRepository, MemoryRecoveryCodeRepository } = require('./RecoveryCodeRepository');
+const { PostgresRoleRepository, MemoryRoleRepository } = require('./RoleRepository');
+const { PostgresAuthEventRepository, MemoryAuthEventRepository } = require('./AuthEventRepository');
+const { PostgresUserIdentityRepository, MemoryUserIdentityRepository } = require('./UserIdentityRepository');
+const { PostgresOAuthLoginCodeRepository, MemoryOAuthLoginCodeRepository } = require('./OAuthLoginCodeRepository');
+
+/**
+ * Storage backends for the models.
+ * 'postgres' stores everything in the database; 'memory' keeps it in process
+ * so the API works without Postgres (development, tests). Selected with
+ * DATA_STORE.
+ */
+
+// Build the full set of repositories for a backend. Postgres repositories
+// query `db` (an object with a query(text, params) method, default ../../db).
+const createRepositories = (name = configManager.getDataStore(), { db } = {}) => {
+  switch (name) {
+    case 'postgres':
+      return {
+        name,
+        users: new PostgresUserRepository(db),
+        refreshTokens: new PostgresRefreshTokenRepository(db),
+        sessions: new PostgresSessionRepository(db),
+        passwordResetTokens: new PostgresPasswordResetTokenRepository(db),
+        recoveryCodes: new PostgresRecoveryCodeRepository(db),
+        roles: new PostgresRoleRepository(db),
+        authEvents: new PostgresAuthEventRepository(db),
+        userIdentities: new PostgresUserIdentityRepository(db),
+        oauthLoginCodes: new PostgresOAuthLoginCodeRepository(db)
+      };
+    case 'memory': {
+      const database = new MemoryDatabase();
+      return {
+        name,
+        users: new MemoryUserRepository(database),
+        refreshTokens: new MemoryRefreshTokenRepository(database),
+        sessions: new MemorySessionRepository(database),
+        passwordResetTokens: new MemoryPasswordResetTokenRepository(database),
+        recoveryCodes: new MemoryRecoveryCodeRepository(database),
+        roles: new MemoryRoleRepository(database),
+        authEvents: new MemoryAuthEventRepository(database),
+        userIdentities: new MemoryUserIdentityRepository(database),
+        oauthLoginCodes: new MemoryOAuthLoginCodeRepository(database)
+      };
+    }
+    default:
+      throw new Error(`Unknown data store: ${name}`);
+  }
+};
+
+let activeRepositories = null;
+
+// Repositories used by the models: the current app's (see utils/appScope),
+// otherwise the process default, created on first use from config
+const getRepositories = () => {
+  const scoped = fromAppScope('repositories', null);
+  if (scoped) {
+    return scoped;
+  }
+  if (!activeRepositories) {
+    activeRepositories = createRepositories();
+  }
+  return activeRepositories;
+};
+
+// Swap the process default backend (e.g. for a script)
+const setRepositories = (repositories) => {
+  activeRepositories = repositories;
+};
+
+module.exports = {
+  createRepositories,
+  getRepositories,
+  setRepositories
+};
@@ -0,0 +1,24 @@
+const express = require('express');
+const AdminController = require('../controllers/AdminController');
+const { authMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin');
+
+const router = express.Router();
+const adminController = new AdminController();
+
+// Every admin route requires an authenticated admin
+router.use(authMiddleware.verifyToken, authMiddleware.requireAdmin);
+
+// User management
+router.get('/users', validate(schemas.listUsers), adminController.listUsers);
+router.get('/users/:id', validate(schemas.getUser), adminController.getUser);
+router.post('/users/:id/disable', validate(schemas.disableUser), adminController.disableUser);
+router.post('/users/:id/enable', validate(schemas.enableUser), adminController.enableUser);
+router.post('/users/:id/force-password-reset', validate(schemas.forcePasswordReset), adminController.forcePasswordReset);
+router.delete('/users/:id', validate(schemas.deleteUser), adminController.deleteUser);
+
+// Audit log
+router.get('/events', validate(schemas.listEvents), adminController.listEvents);
+
+module.exports = router;
@@ -1,18 +1,42 @@
 const express = require('express');
 const AuthController = require('../controllers/AuthController');
 const { authMiddleware } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
 
 const router = express.Router();
 const authController = new AuthController();
 
 // Public routes
-router.post('/register', authController.register);
-router.post('/login', authController.login);
-router.post('/refresh', authController.refreshToken);
+router.post('/register', rateLimiter.policy('register'), validate(schemas.register), authController.register);
+router.post('/login', rateLimiter.policy('login'), validate(schemas.login), authController.login);
+router.post('/login/2fa', rateLimiter.policy('loginTwoFactor'), validate(schemas.loginTwoFactor), authController.loginTwoFactor);
+router.post('/refresh', rateLimiter.policy('refresh'), validate(schemas.refreshToken), authController.refreshToken);
+router.post('/verify-email', rateLimiter.policy('emailAction'), validate(schemas.verifyEmail), authController.verifyEmail);
+router.post('/resend-verification', rateLimiter.policy('emailAction'), validate(schemas.resendVerification), authController.resendVerification);
+router.post('/forgot-password', rateLimiter.policy('emailAction'), validate(schemas.forgotPassword), authController.forgotPassword);
+router.post('/reset-password', rateLimiter.policy('emailAction'), validate(schemas.resetPassword), authController.resetPassword);
+router.post('/email/confirm', rateLimiter.policy('emailAction'), validate(schemas.confirmEmailChange), authController.confirmEmailChange);
+router.get('/csrf', authController.getCsrfToken);
+
+// Social login (OAuth2 / OpenID Connect with PKCE)
+router.get('/oauth/:provider/start', rateLimiter.policy('oauth'), validate(schemas.oauthStart), authController.oauthStart);
+router.get('/oauth/:provider/callback', rateLimiter.policy('oauth'), validate(schemas.oauthCallback), authController.oauthCallback);
+router.post('/oauth/exchange', rateLimiter.policy('oauth'), validate(schemas.oauthExchange), authController.oauthExchange);
 
 // Protected routes (require authentication)
 router.get('/me', authMiddleware.verifyToken, authController.getProfile);
-router.post('/logout', authMiddleware.verifyToken, authController.logout);
+router.post('/logout', authMiddleware.verifyToken, validate(schemas.logout), authController.logout);
+router.post('/logout-all', authMiddleware.verifyToken, validate(schemas.logoutAll), authController.logoutAll);
 router.get('/verify', authMiddleware.verifyToken, authController.verifyToken);
+router.get('/sessions', authMiddleware.verifyToken, authController.getSessions);
+router.get('/activity', authMiddleware.verifyToken, validate(schemas.getActivity), authController.getActivity);
+router.delete('/sessions/:id', authMiddleware.verifyToken, validate(schemas.revokeSession), authController.revokeSession);
+router.put('/password', authMiddleware.verifyToken, rateLimiter.policy('credentialChange'), validate(schemas.changePassword), authController.changePassword);
+router.put('/email', authMiddleware.verifyToken, rateLimiter.policy('credentialChange'), validate(schemas.changeEmail), authController.changeEmail);
+router.post('/2fa/enroll', authMiddleware.verifyToken, validate(schemas.enrollTwoFactor), authController.enrollTwoFactor);
+router.post('/2fa/confirm', authMiddleware.verifyToken, rateLimiter.policy('credentialChange'), validate(schemas.confirmTwoFactor), authController.confirmTwoFactor);
+router.post('/2fa/disable', authMiddleware.verifyToken, rateLimiter.policy('credentialChange'), validate(schemas.disableTwoFactor), authController.disableTwoFactor);
 
 module.exports = router;
\ No newline at end of file
@@ -1,30 +1,42 @@
 const express = require('express');
+const swaggerUi = require('swagger-ui-express');
 const authRoutes = require('./auth');
+const adminRoutes = require('./admin');
 const { authMiddleware } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rateLimit');
+const HealthController = require('../controllers/HealthController');
+const schemas = require('../schemas');
+const { buildOpenApiDocument } = require('../docs/openapi');
 
 const router = express.Router();
+const healthController = new HealthController();
+const openApiDocument = buildOpenApiDocument();
 
-// Health check endpoint
-router.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    environment: process.env.NODE_ENV || 'development',
-    timestamp: new Date().toISOString(),
-    version: '2.0.0'
-  });
+// Health checks: liveness (also the legacy /health) and readiness
+router.get('/health', healthController.live);
+router.get('/health/live', healthController.live);
+router.get('/health/ready', healthController.ready);
+
+// Request schemas (JSON Schema) of every route, for clients and the API docs
+router.get('/schemas', (req, res) => {
+  res.json(schemas);
 });
 
-// Apply rate limiting to auth routes (more lenient in development)
-const isDev = process.env.NODE_ENV !== 'production';
-const rateLimitConfig = isDev 
-  ? { maxRequests: 100, windowMs: 15 * 60 * 1000 } // 100 requests per 15 minutes in dev
-  : { maxRequests: 20, windowMs: 15 * 60 * 1000 };  // 20 requests per 15 minutes in prod
+// OpenAPI document and the interactive docs rendered from it
+router.get('/docs/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+router.use('/docs', swaggerUi.serve, swaggerUi.setup(null, {
+  swaggerOptions: { url: '/api/v1/docs/openapi.json' }
+}));
 
-router.use('/auth', authMiddleware.rateLimiter(rateLimitConfig.maxRequests, rateLimitConfig.windowMs));
+// Blanket per-IP limit for auth routes; individual routes add stricter
+// policies (see src/middleware/rateLimit.js)
+router.use('/auth', rateLimiter.policy('auth'));
 router.use('/auth', authRoutes);
 
-// Legacy routes for backward compatibility
-router.use('/', authRoutes); // This allows /api/login, /api/register, etc.
+// Administration (admin role required)
+router.use('/admin', adminRoutes);
 
 // Protected routes example (can be extended)
 router.get('/protected', authMiddleware.verifyToken, (req, res) => {
@@ -0,0 +1,60 @@
+const { pagination, object } = require('./common');
+
+// ISO 8601 date or date-time, e.g. 2024-01-31 or 2024-01-31T12:00:00Z
+const date = { type: 'string', format: 'date-time', description: 'ISO 8601 date or date-time' };
+// Inclusive upper bound: a date alone covers that whole day (UTC)
+const endDate = { ...date, description: 'ISO 8601 date or date-time, inclusive (a date covers the whole day, UTC)' };
+
+const userParams = object({ id: { type: 'integer', minimum: 1, title: 'User id' } }, ['id']);
+
+/**
+ * Request schemas of the /admin routes, keyed by controller method
+ */
+module.exports = {
+  listUsers: {
+    query: object({
+      ...pagination(100),
+      search: { type: 'string', maxLength: 255, description: 'Matches part of the email' },
+      sort: { type: 'string', enum: ['created_at', 'email', 'id'] },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      createdFrom: date,
+      createdTo: endDate
+    })
+  },
+
+  getUser: {
+    params: userParams
+  },
+
+  disableUser: {
+    params: userParams,
+    body: object({})
+  },
+
+  enableUser: {
+    params: userParams,
+    body: object({})
+  },
+
+  forcePasswordReset: {
+    params: userParams,
+    body: object({})
+  },
+
+  deleteUser: {
+    params: userParams
+  },
+
+  listEvents: {
+    query: object({
+      ...pagination(100),
+      userId: { type: 'integer', minimum: 1, title: 'User id' },
+      actorId: { type: 'integer', minimum: 1, title: 'Actor id' },
+      type: { type: 'string', description: 'Event type, e.g. login' },
+      outcome: { type: 'string', enum: ['success', 'failure'] },
+      ip: { type: 'string' },
+      from: date,
+      to: endDate
+    })
+  }
+};
@@ -0,0 +1,115 @@
+const { email, newPassword, password, token, pagination, object } = require('./common');
+
+// Name of a configured OAuth provider (OAUTH_PROVIDERS)
+const provider = { type: 'string', pattern: '^[a-z0-9-]+$', maxLength: 50, title: 'Provider' };
+
+/**
+ * Request schemas of the /auth routes, keyed by controller method
+ */
+module.exports = {
+  register: {
+    body: object({ email, password: newPassword }, ['email', 'password'])
+  },
+
+  login: {
+    body: object({
+      email,
+      password,
+      deviceName: { type: 'string', maxLength: 100, description: 'Label of the new session, e.g. "Work laptop"' }
+    }, ['email', 'password'])
+  },
+
+  loginTwoFactor: {
+    body: object({
+      challengeToken: { type: 'string' },
+      code: { type: 'string', title: 'Authentication code' }
+    }, ['challengeToken', 'code'])
+  },
+
+  // A missing token is answered with 401 NO_REFRESH_TOKEN, not a validation error
+  refreshToken: {
+    body: object({ refreshToken: { type: 'string' } })
+  },
+
+  verifyEmail: {
+    body: object({ token: { ...token, title: 'Verification token' } }, ['token'])
+  },
+
+  resendVerification: {
+    body: object({ email }, ['email'])
+  },
+
+  forgotPassword: {
+    body: object({ email }, ['email'])
+  },
+
+  resetPassword: {
+    body: object({ token: { ...token, title: 'Reset token' }, password: newPassword }, ['token', 'password'])
+  },
+
+  confirmEmailChange: {
+    body: object({ token: { ...token, title: 'Confirmation token' } }, ['token'])
+  },
+
+  oauthStart: {
+    params: object({ provider }, ['provider'])
+  },
+
+  // Providers may add their own query parameters (scope, prompt, ...)
+  oauthCallback: {
+    params: object({ provider }, ['provider']),
+    query: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', maxLength: 2048 },
+        state: { type: 'string', maxLength: 256 },
+        error: { type: 'string' },
+        error_description: { type: 'string' }
+      }
+    }
+  },
+
+  oauthExchange: {
+    body: object({ code: { ...token, title: 'Sign-in code' } }, ['code'])
+  },
+
+  logout: {
+    body: object({ refreshToken: { type: 'string' } })
+  },
+
+  logoutAll: {
+    body: object({})
+  },
+
+  getActivity: {
+    query: object(pagination())
+  },
+
+  // Unknown ids are answered with 404, so any string is accepted here
+  revokeSession: {
+    params: object({ id: { type: 'string' } }, ['id'])
+  },
+
+  changePassword: {
+    body: object({ currentPassword: password, newPassword }, ['currentPassword', 'newPassword'])
+  },
+
+  changeEmail: {
+    body: object({ newEmail: email, password }, ['newEmail', 'password'])
+  },
+
+  enrollTwoFactor: {
+    body: object({})
+  },
+
+  confirmTwoFactor: {
+    body: object({ code: { type: 'string', title: 'Authentication code' } }, ['code'])
+  },
+
+  disableTwoFactor: {
+    body: object({
+      password,
+      code: { type: 'string', title: 'Authentication code' }
+    }, ['password', 'code'])
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Schema fragments shared by the route schemas
+ */
+
+const email = {
+  type: 'string',
+  format: 'email',
+  maxLength: 255
+};
+
+// Rules for new passwords; existing ones are only checked for presence
+const newPassword = {
+  type: 'string',
+  minLength: 6,
+  maxLength: 128
+};
+
+const password = {
+  type: 'string'
+};
+
+// Single-use tokens from emailed links
+const token = {
+  type: 'string'
+};
+
+// page/limit query parameters of listing endpoints
+const pagination = (maxLimit = 100) => ({
+  page: {
+    type: 'integer',
+    minimum: 1,
+    'x-messages': { type: 'Page must be a positive integer', minimum: 'Page must be a positive integer' }
+  },
+  limit: { type: 'integer', minimum: 1, maximum: maxLimit }
+});
+
+// An object with exactly these fields
+const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 && { required }),
+  additionalProperties: false
+});
+
+module.exports = {
+  email,
+  newPassword,
+  password,
+  token,
+  pagination,
+  object
+};
@@ -0,0 +1,10 @@
+/**
+ * Request schemas of every route, grouped by router and keyed by controller
+ * method. Each is { body, query, params } in JSON Schema (see
+ * src/utils/schema.js for the supported keywords), so they can be shared
+ * with the frontend and the API docs as-is.
+ */
+module.exports = {
+  auth: require('./auth'),
+  admin: require('./admin')
+};
@@ -0,0 +1,227 @@
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { AuthService } = require('./AuthService');
+const { AppError, ValidationError, NotFoundError } = require('../utils/errors');
+const { auditService } = require('./AuditService');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+const DEFAULT_EVENT_PAGE_SIZE = 50;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Date filters arrive as validated ISO 8601 strings
+const toDate = (value) => (value ? new Date(value) : undefined);
+
+// Exclusive bound for an inclusive "to" filter. A date-only value covers that
+// whole (UTC) day; a timestamp covers its millisecond, the precision dates
+// are returned with.
+const toEndBound = (value) => {
+  if (!value) {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (DATE_ONLY_PATTERN.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  } else {
+    date.setTime(date.getTime() + 1);
+  }
+  return date;
+};
+
+class AdminService {
+  constructor() {
+    this.authService = new AuthService();
+  }
+
+  // Paginated, filterable user listing. query is validated by
+  // schemas.admin.listUsers: { page, limit, search, sort, order, createdFrom, createdTo }
+  async listUsers({ page = 1, limit = DEFAULT_PAGE_SIZE, search, sort = 'created_at', order = 'desc', createdFrom, createdTo } = {}) {
+    try {
+      const filters = {
+        search: search ? search.trim() : undefined,
+        createdFrom: toDate(createdFrom),
+        createdBefore: toEndBound(createdTo),
+        sort,
+        order
+      };
+
+      const [users, total] = await Promise.all([
+        User.findAll(limit, (page - 1) * limit, filters),
+        User.count(filters)
+      ]);
+
+      return {
+        success: true,
+        users: users.map(user => user.toAdminObject()),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('List users error', { error });
+      throw new AppError('Failed to list users');
+    }
+  }
+
+  // View a single user including roles
+  async getUser(id) {
+    try {
+      const user = await this.findUserOrFail(id);
+      const roles = await Role.findNamesByUserId(user.id);
+
+      return {
+        success: true,
+        user: { ...user.toAdminObject(), roles }
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+
+      logger.error('Get user error', { error });
+      throw new AppError('Failed to get user');
+    }
+  }
+
+  // Disable or re-enable an account. Disabling signs the user out everywhere.
+  async setDisabled(admin, id, disabled, context = {}) {
+    try {
+      const user = await this.findUserOrFail(id);
+      this.assertNotSelf(admin, user, disabled ? 'disable' : 'enable');
+
+      await user.update({ disabled_at: disabled ? new Date() : null });
+      if (disabled) {
+        await this.authService.revokeAllSessions(user, 'account_disabled');
+      }
+
+      await this.recordAdminAction(disabled ? 'admin_user_disabled' : 'admin_user_enabled', admin, user, context);
+
+      return {
+        success: true,
+        message: disabled ? 'User disabled' : 'User enabled',
+        user: user.toAdminObject()
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Set user disabled error', { error });
+      throw new AppError('Failed to update user');
+    }
+  }
+
+  // Require the user to choose a new password: block login, sign out every
+  // session and email a reset link
+  async forcePasswordReset(admin, id, context = {}) {
+    try {
+      const user = await this.findUserOrFail(id);
+
+      await user.update({ password_reset_required_at: new Date() });
+      await this.authService.revokeAllSessions(user, 'password_reset_forced');
+      await this.authService.issuePasswordReset(user);
+      await this.recordAdminAction('admin_password_reset_forced', admin, user, context);
+
+      return {
+        success: true,
+        message: 'Password reset required. A reset link has been emailed to the user.',
+        user: user.toAdminObject()
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+
+      logger.error('Force password reset error', { error });
+      throw new AppError('Failed to force password reset');
+    }
+  }
+
+  // Permanently delete an account (sessions and tokens cascade)
+  async deleteUser(admin, id, context = {}) {
+    try {
+      const user = await this.findUserOrFail(id);
+      this.assertNotSelf(admin, user, 'delete');
+
+      await user.delete();
+      await this.recordAdminAction('admin_user_deleted', admin, user, context);
+
+      return {
+        success: true,
+        message: 'User deleted'
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Delete user error', { error });
+      throw new AppError('Failed to delete user');
+    }
+  }
+
+  // Query the audit log. query is validated by schemas.admin.listEvents:
+  // { page, limit, userId, actorId, type, outcome, ip, from, to }
+  async listEvents({ page = 1, limit = DEFAULT_EVENT_PAGE_SIZE, userId, actorId, type, outcome, ip, from, to } = {}) {
+    try {
+      const filters = {
+        userId,
+        actorId,
+        eventType: type || undefined,
+        outcome,
+        ipAddress: ip || undefined,
+        from: toDate(from),
+        before: toEndBound(to)
+      };
+
+      const { events, pagination } = await auditService.list(filters, { page, limit });
+
+      return {
+        success: true,
+        events: events.map(event => event.toAdminObject()),
+        pagination
+      };
+    } catch (error) {
+      logger.error('List events error', { error });
+      throw new AppError('Failed to list events');
+    }
+  }
+
+  // Audit an action an administrator performed on another account
+  async recordAdminAction(type, admin, user, context) {
+    await auditService.record({
+      type,
+      userId: user.id,
+      email: user.email,
+      actorId: admin.id,
+      context
+    });
+  }
+
+  async findUserOrFail(id) {
+    const userId = Number(id);
+    const user = Number.isInteger(userId) && userId > 0 ? await User.findById(userId) : null;
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    return user;
+  }
+
+  // Administrators must not lock themselves out
+  assertNotSelf(admin, user, action) {
+    if (admin.id === user.id) {
+      throw new ValidationError('Validation failed', [
+        { field: 'id', message: `You cannot ${action} your own account` }
+      ]);
+    }
+  }
+}
+
+module.exports = AdminService;
@@ -0,0 +1,58 @@
+const AuthEvent = require('../models/AuthEvent');
+const { logger } = require('../utils/logger');
+
+/**
+ * Audit trail of security-relevant events (auth_events table).
+ * Recording never throws: a failing audit write is logged but must not break
+ * the request that triggered it.
+ */
+class AuditService {
+  // event: { type, outcome ('success' | 'failure'), reason, user, userId,
+  //          actorId, email, context: { ipAddress, userAgent }, metadata }
+  async record({ type, outcome = 'success', reason, user, userId, actorId, email, context = {}, metadata }) {
+    const subjectId = userId || (user && user.id);
+
+    try {
+      await AuthEvent.create({
+        eventType: type,
+        outcome,
+        reason,
+        userId: subjectId,
+        // Self-service actions are performed by the user themselves
+        actorId: actorId || subjectId,
+        email: email || (user && user.email),
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        metadata
+      });
+    } catch (error) {
+      logger.error('Failed to record auth event', { type, error });
+    }
+  }
+
+  // A page of events, newest first, with the total for pagination
+  async list(filters = {}, { page = 1, limit = 20 } = {}) {
+    const [events, total] = await Promise.all([
+      AuthEvent.findAll(limit, (page - 1) * limit, filters),
+      AuthEvent.count(filters)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+// Shared instance
+const auditService = new AuditService();
+
+module.exports = {
+  AuditService,
+  auditService
+};
@@ -1,24 +1,96 @@
 const jwt = require('jsonwebtoken');
+const configManager = require('../../config/config-manager');
 const User = require('../models/User');
-const { validateLoginData, validateRegistrationData, sanitizeEmail } = require('../utils/validation');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const RecoveryCode = require('../models/RecoveryCode');
+const Role = require('../models/Role');
+const UserIdentity = require('../models/UserIdentity');
+const OAuthLoginCode = require('../models/OAuthLoginCode');
+const { hashToken, generateId, generateToken, encryptSecret, decryptSecret } = require('../utils/crypto');
+const totp = require('../utils/totp');
+const { describeDevice } = require('../utils/userAgent');
+const { fromAppScope } = require('../utils/appScope');
+const { mailService } = require('./MailService');
+const { logger } = require('../utils/logger');
+const { metricsService } = require('./MetricsService');
+const { auditService } = require('./AuditService');
+const { roleService } = require('./RoleService');
+const { keyService } = require('./KeyService');
+const { oauthService } = require('./OAuthService');
+const { createRateLimitStore } = require('./RateLimitStore');
+const {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  TokenExpiredError,
+  AccountRestrictedError,
+  EmailNotVerifiedError,
+  AccountDisabledError,
+  PasswordResetRequiredError,
+  AccountLockedError,
+  NotFoundError
+} = require('../utils/errors');
+const { sanitizeEmail } = require('../utils/validation');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How long a login attempt keeps the account locked while the credentials are
+// checked; lapses by itself if the attempt never finishes
+const LOGIN_ATTEMPT_HOLD_MS = 10 * 1000;
+
+// How long failed logins for an email without an account are remembered
+const UNKNOWN_EMAIL_FAILURES_TTL_MS = 24 * 60 * 60 * 1000;
+
+const LOCKED_MESSAGE = 'Too many failed login attempts. Please try again later.';
 
 class AuthService {
   constructor() {
-    this.jwtSecret = process.env.JWT_SECRET || 'change_me';
-    this.jwtRefreshSecret = process.env.JWT_REFRESH_SECRET || 'change_me_refresh';
     this.accessTokenExpiry = process.env.ACCESS_TOKEN_EXPIRY || '15m';
     this.refreshTokenExpiry = process.env.REFRESH_TOKEN_EXPIRY || '7d';
+    this.emailVerificationExpiry = process.env.EMAIL_VERIFICATION_EXPIRY || '24h';
+    this.requireEmailVerification = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+    this.passwordResetExpiryMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES, 10) || 30;
+    this.twoFactorChallengeExpiry = process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m';
+    this.twoFactorIssuer = process.env.TWO_FACTOR_ISSUER || 'Auth Backend';
+    this.oauthCodeExpirySeconds = parseInt(process.env.OAUTH_CODE_EXPIRY_SECONDS, 10) || 60;
+    this.lockoutPolicy = configManager.getLoginLockoutPolicy();
+    this.mailService = mailService;
+    this.auditService = auditService;
+    this.metricsService = metricsService;
+    this.roleService = roleService;
+    this.defaultRateLimitStore = createRateLimitStore();
+  }
+
+  // Token keys and sign-in providers of the app handling the request
+  // (see utils/appScope), or the shared instances
+  get keyService() {
+    return fromAppScope('keyService', keyService);
+  }
+
+  get oauthService() {
+    return fromAppScope('oauthService', oauthService);
+  }
+
+  // Where failed logins for unknown emails are counted
+  get rateLimitStore() {
+    return fromAppScope('rateLimitStore', this.defaultRateLimitStore);
+  }
+
+  // HMAC secrets of the tokens only this service reads (single-purpose and
+  // refresh tokens); access tokens are signed by the key service
+  get jwtSecret() {
+    return this.keyService.secret;
+  }
+
+  get jwtRefreshSecret() {
+    return this.keyService.refreshSecret;
   }
 
   // Register a new user
-  async register(userData) {
+  async register(userData, context = {}) {
     try {
-      // Validate input data
-      const validationErrors = validateRegistrationData(userData);
-      if (validationErrors.length > 0) {
-        throw new ValidationError('Validation failed', validationErrors);
-      }
-
       // Sanitize email
       const email = sanitizeEmail(userData.email);
       
@@ -28,9 +100,27 @@ class AuthService {
         password: userData.password
       });
 
+      // Every account starts with the default role
+      try {
+        await Role.assignToUser(user.id, 'user');
+      } catch (roleError) {
+        logger.error('Failed to assign default role', { error: roleError });
+      }
+
+      // Mail failures must not undo the registration; the user can ask for a resend
+      try {
+        await this.sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error('Failed to send verification email', { error: mailError });
+      }
+
+      await this.auditService.record({ type: 'register', user, context });
+
       return {
         success: true,
-        message: 'Account created successfully! You can now log in with your credentials.',
+        message: this.requireEmailVerification
+          ? 'Account created successfully! Please check your email to verify your address before logging in.'
+          : 'Account created successfully! You can now log in with your credentials.',
         user: user.toSafeObject()
       };
     } catch (error) {
@@ -39,42 +129,88 @@ class AuthService {
       }
       
       if (error.message === 'User already exists') {
+        await this.auditService.record({
+          type: 'register',
+          outcome: 'failure',
+          reason: 'email_taken',
+          email: sanitizeEmail(userData.email),
+          context
+        });
         throw new ValidationError('Registration failed', [
           { field: 'email', message: 'An account with this email already exists' }
         ]);
       }
       
-      console.error('Registration error:', error);
-      throw new Error('Registration failed. Please try again.');
+      logger.error('Registration error', { error });
+      throw new AppError('Registration failed. Please try again.');
     }
   }
 
-  // Login user
-  async login(credentials) {
-    try {
-      // Validate input data
-      const validationErrors = validateLoginData(credentials);
-      if (validationErrors.length > 0) {
-        throw new ValidationError('Validation failed', validationErrors);
-      }
+  // Login user. `context` describes the client ({ userAgent, ipAddress })
+  // and is recorded on the new session.
+  async login(credentials, context = {}) {
+    let user;
 
+    try {
       // Sanitize email
       const email = sanitizeEmail(credentials.email);
       
       // Find user
-      const user = await User.findByEmail(email);
+      user = await User.findByEmail(email);
       if (!user) {
-        throw new AuthenticationError('Invalid email or password');
+        // Answered like a wrong password, lockout included, so the responses
+        // do not tell which emails have an account
+        const retryAfter = await this.recordUnknownEmailFailure(email);
+        throw new AuthenticationError('Invalid email or password', { retryAfter, reason: 'unknown_email' });
       }
 
+      // Refuse attempts while locked, without checking the password
+      await this.claimLoginAttempt(user);
+
       // Verify password
       const isValidPassword = await user.verifyPassword(credentials.password);
       if (!isValidPassword) {
-        throw new AuthenticationError('Invalid email or password');
+        const retryAfter = await this.recordFailedLogin(user);
+        throw new AuthenticationError('Invalid email or password', { retryAfter, reason: 'invalid_password' });
       }
+      await user.releaseLoginAttempt();
+
+      // Restrictions are only revealed to someone who knows the password
+      this.assertAccountUsable(user);
+
+      // Second step required: hand out a short-lived challenge instead of tokens.
+      // The failure counter is only reset once the second factor is verified.
+      if (user.isTwoFactorEnabled()) {
+        const challengeToken = this.signPurposeToken(
+          'two_factor_challenge',
+          { userId: user.id, deviceName: credentials.deviceName },
+          this.twoFactorChallengeExpiry
+        );
+
+        await this.auditService.record({ type: 'login', reason: 'two_factor_required', user, context });
+        this.metricsService.recordLogin('password', 'two_factor_required');
+
+        return {
+          success: true,
+          twoFactorRequired: true,
+          challengeToken
+        };
+      }
+
+      await user.resetFailedLogins();
 
       // Generate tokens
-      const tokens = this.generateTokens(user);
+      const { storedToken, ...tokens } = await this.generateTokens(user, {
+        context: { ...context, deviceName: credentials.deviceName }
+      });
+
+      await this.auditService.record({
+        type: 'login',
+        user,
+        context,
+        metadata: { sessionId: storedToken.family_id }
+      });
+      this.metricsService.recordLogin('password', 'success');
 
       return {
         success: true,
@@ -82,91 +218,1019 @@ class AuthService {
         ...tokens
       };
     } catch (error) {
+      if (error instanceof AuthenticationError) {
+        await this.auditService.record({
+          type: 'login',
+          outcome: 'failure',
+          reason: error.reason,
+          user,
+          email: sanitizeEmail(credentials.email),
+          context
+        });
+        this.metricsService.recordLogin('password', 'failure');
+      }
+
       if (error instanceof ValidationError || error instanceof AuthenticationError) {
         throw error;
       }
       
-      console.error('Login error:', error);
-      throw new Error('Login failed. Please try again.');
+      logger.error('Login error', { error });
+      throw new AppError('Login failed. Please try again.');
+    }
+  }
+
+  // Second login step: exchange a challenge token plus a TOTP or recovery
+  // code for the access/refresh pair
+  async completeTwoFactorLogin(data = {}, context = {}) {
+    let user;
+
+    try {
+      let decoded;
+      try {
+        decoded = this.verifyPurposeToken(data.challengeToken, 'two_factor_challenge');
+      } catch (error) {
+        if (error instanceof jwt.TokenExpiredError) {
+          throw new TokenExpiredError('Two-factor challenge expired. Please log in again.', { code: 'CHALLENGE_EXPIRED' });
+        }
+        throw new AuthenticationError('Invalid two-factor challenge', { reason: 'invalid_challenge', code: 'INVALID_CHALLENGE' });
+      }
+
+      user = await User.findById(decoded.userId);
+      if (!user || !user.isTwoFactorEnabled()) {
+        throw new AuthenticationError('Invalid two-factor challenge', { reason: 'invalid_challenge', code: 'INVALID_CHALLENGE' });
+      }
+
+      await this.claimLoginAttempt(user);
+
+      if (!(await this.verifySecondFactor(user, data.code))) {
+        const retryAfter = await this.recordFailedLogin(user);
+        throw new AuthenticationError('Invalid authentication code', { retryAfter, reason: 'invalid_code', code: 'INVALID_TWO_FACTOR_CODE' });
+      }
+      await user.releaseLoginAttempt();
+
+      this.assertAccountUsable(user);
+      await user.resetFailedLogins();
+
+      const { storedToken, ...tokens } = await this.generateTokens(user, {
+        context: { ...context, deviceName: decoded.deviceName }
+      });
+
+      await this.auditService.record({
+        type: 'login_two_factor',
+        user,
+        context,
+        metadata: { sessionId: storedToken.family_id }
+      });
+      this.metricsService.recordLogin('two_factor', 'success');
+
+      return {
+        success: true,
+        user: user.toSafeObject(),
+        ...tokens
+      };
+    } catch (error) {
+      if (error instanceof AuthenticationError || error instanceof TokenExpiredError) {
+        await this.auditService.record({ type: 'login_two_factor', outcome: 'failure', reason: error.reason, user, context });
+        this.metricsService.recordLogin('two_factor', 'failure');
+      }
+
+      if (error instanceof ValidationError || error instanceof AuthenticationError || error instanceof TokenExpiredError) {
+        throw error;
+      }
+
+      logger.error('Two-factor login error', { error });
+      throw new AppError('Login failed. Please try again.');
+    }
+  }
+
+  // Begin a social login; see OAuthService.startAuthorization
+  startOAuthLogin(provider) {
+    return this.oauthService.startAuthorization(provider);
+  }
+
+  // Finish a social login from the provider callback ({ code, state, error }
+  // query) and the sealed flow kept since the start. Returns a one-time code
+  // for exchangeOAuthCode, or with `tokens` (cookie mode) the tokens right
+  // away unless a second factor is needed.
+  async completeOAuthLogin(provider, callback, flow, context = {}, { tokens = false } = {}) {
+    let profile;
+
+    try {
+      if (callback.error) {
+        throw new AuthenticationError('Sign-in was cancelled or refused at the provider', {
+          code: 'OAUTH_DENIED',
+          reason: 'provider_denied'
+        });
+      }
+
+      const codeVerifier = this.oauthService.openFlow(flow, provider, callback.state);
+      if (!callback.code) {
+        throw new AuthenticationError('Sign-in with the provider failed', { code: 'OAUTH_FAILED', reason: 'missing_code' });
+      }
+      profile = await this.oauthService.completeAuthorization(provider, { code: callback.code, codeVerifier });
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        await this.auditService.record({ type: 'login', outcome: 'failure', reason: error.reason, context, metadata: { provider } });
+        this.metricsService.recordLogin('oauth', 'failure');
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logger.error('OAuth login error', { provider, error });
+      throw new AppError('Login failed. Please try again.');
+    }
+
+    return this.loginWithIdentity(provider, profile, context, { tokens });
+  }
+
+  // Sign in with an external identity, linking or creating the account:
+  // - a linked identity signs in its user
+  // - otherwise the provider must vouch for the email address; a new address
+  //   gets a new (password-less, verified) account, an existing account is
+  //   linked only if its own address is verified. Linking an unverified
+  //   account would hand it to whoever registered the address first.
+  // Ends with a one-time code, or tokens as for completeOAuthLogin.
+  async loginWithIdentity(provider, profile, context = {}, { tokens = false } = {}) {
+    let user;
+
+    try {
+      let identity = await UserIdentity.findByProviderSubject(provider, profile.subject);
+
+      if (identity) {
+        user = await User.findById(identity.user_id);
+        this.assertAccountUsable(user);
+      } else {
+        if (!profile.email || !profile.emailVerified) {
+          throw new AuthenticationError('The provider did not confirm an email address for this account', {
+            code: 'OAUTH_EMAIL_UNVERIFIED',
+            reason: 'email_unverified'
+          });
+        }
+
+        const email = sanitizeEmail(profile.email);
+        user = await User.findByEmail(email);
+
+        if (user && !user.isEmailVerified()) {
+          throw new AuthenticationError('An account with this email already exists. Log in with your password and verify your email to link it.', {
+            status: 409,
+            code: 'OAUTH_ACCOUNT_EXISTS',
+            reason: 'link_unverified_account'
+          });
+        }
+
+        if (user) {
+          // A disabled or restricted account gets nothing linked to it
+          this.assertAccountUsable(user);
+        } else {
+          user = await this.createIdentityUser(email, context);
+        }
+
+        identity = await UserIdentity.create({ userId: user.id, provider, subject: profile.subject, email });
+        await this.auditService.record({ type: 'identity_linked', user, context, metadata: { provider } });
+      }
+
+      await identity.touchLogin();
+
+      if (tokens && !user.isTwoFactorEnabled()) {
+        return await this.finishIdentityLogin(user, provider, context);
+      }
+
+      return {
+        success: true,
+        code: await this.issueOAuthLoginCode(user, provider)
+      };
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        await this.auditService.record({
+          type: 'login',
+          outcome: 'failure',
+          reason: error.reason,
+          user,
+          email: profile.email,
+          context,
+          metadata: { provider }
+        });
+        this.metricsService.recordLogin('oauth', 'failure');
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logger.error('OAuth login error', { provider, error });
+      throw new AppError('Login failed. Please try again.');
+    }
+  }
+
+  // Redeem the one-time code a social login redirected the frontend with.
+  // Ends like login: tokens, or a two-factor challenge.
+  async exchangeOAuthCode(code, context = {}) {
+    let user;
+    let provider;
+
+    try {
+      const loginCode = await OAuthLoginCode.consume(hashToken(code));
+      if (loginCode) {
+        provider = loginCode.provider;
+        user = await User.findById(loginCode.user_id);
+      }
+      if (!user) {
+        throw new AuthenticationError('Sign-in code is invalid or has expired', {
+          code: 'OAUTH_CODE_INVALID',
+          reason: 'invalid_code'
+        });
+      }
+
+      // The account may have been disabled since the callback
+      this.assertAccountUsable(user);
+
+      return await this.finishIdentityLogin(user, provider, context);
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        await this.auditService.record({
+          type: 'login',
+          outcome: 'failure',
+          reason: error.reason,
+          user,
+          context,
+          metadata: { provider }
+        });
+        this.metricsService.recordLogin('oauth', 'failure');
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logger.error('OAuth code exchange error', { error });
+      throw new AppError('Login failed. Please try again.');
+    }
+  }
+
+  // Short-lived, single-use code standing for a finished social login, so no
+  // token ends up in the redirect URL
+  async issueOAuthLoginCode(user, provider) {
+    const code = generateToken();
+
+    await OAuthLoginCode.create({
+      userId: user.id,
+      provider,
+      codeHash: hashToken(code),
+      expiresAt: new Date(Date.now() + this.oauthCodeExpirySeconds * 1000)
+    });
+
+    return code;
+  }
+
+  // Tokens for a user signed in through a provider, or a two-factor challenge
+  async finishIdentityLogin(user, provider, context) {
+    if (user.isTwoFactorEnabled()) {
+      const challengeToken = this.signPurposeToken(
+        'two_factor_challenge',
+        { userId: user.id },
+        this.twoFactorChallengeExpiry
+      );
+
+      await this.auditService.record({ type: 'login', reason: 'two_factor_required', user, context, metadata: { provider } });
+      this.metricsService.recordLogin('oauth', 'two_factor_required');
+
+      return {
+        success: true,
+        twoFactorRequired: true,
+        challengeToken
+      };
+    }
+
+    const { storedToken, ...tokens } = await this.generateTokens(user, { context });
+
+    await this.auditService.record({
+      type: 'login',
+      user,
+      context,
+      metadata: { sessionId: storedToken.family_id, provider }
+    });
+    this.metricsService.recordLogin('oauth', 'success');
+
+    return {
+      success: true,
+      user: user.toSafeObject(),
+      ...tokens
+    };
+  }
+
+  // Account for a first sign-in through a provider. It has no password (one
+  // can be set with the reset flow) and its email was verified by the provider.
+  async createIdentityUser(email, context) {
+    const user = await User.create({ email, password: null });
+    await user.update({ email_verified_at: new Date() });
+
+    try {
+      await Role.assignToUser(user.id, 'user');
+    } catch (roleError) {
+      logger.error('Failed to assign default role', { error: roleError });
+    }
+
+    await this.auditService.record({ type: 'register', user, context, metadata: { method: 'oauth' } });
+    await this.roleService.grantBootstrapAdmin(user);
+    return user;
+  }
+
+  // Refuse login for accounts that are disabled, awaiting a forced password
+  // reset, or (when required) not yet verified
+  assertAccountUsable(user) {
+    if (user.isDisabled()) {
+      throw new AccountDisabledError('This account has been disabled');
+    }
+
+    if (user.isPasswordResetRequired()) {
+      throw new PasswordResetRequiredError('A password reset is required. Please use the link sent to your email.');
+    }
+
+    if (this.requireEmailVerification && !user.isEmailVerified()) {
+      throw new EmailNotVerifiedError('Please verify your email address before logging in');
+    }
+  }
+
+  // Throw AccountLockedError while the account is in a backoff or lock window
+  // Lock the account for the duration of a credential check. Done in one
+  // conditional update, so concurrent attempts cannot all pass a check made
+  // before the (slow) password comparison.
+  async claimLoginAttempt(user) {
+    if (!(await user.claimLoginAttempt(LOGIN_ATTEMPT_HOLD_MS))) {
+      throw new AccountLockedError(LOCKED_MESSAGE, Math.max(user.getLockRemainingSeconds(), 1));
+    }
+  }
+
+  // Delay before the next attempt after `failures` failed ones: exponentially
+  // growing, or the full lock duration once maxAttempts is reached
+  getLockoutDelayMs(failures) {
+    const { maxAttempts, baseDelayMs, maxDelayMs, lockDurationMs } = this.lockoutPolicy;
+
+    return failures >= maxAttempts
+      ? lockDurationMs
+      : Math.min(baseDelayMs * 2 ** (failures - 1), maxDelayMs);
+  }
+
+  // Count a failed attempt and turn the claimed attempt's lock into the
+  // lockout delay. Returns the number of seconds the caller must wait.
+  async recordFailedLogin(user) {
+    const failures = await user.incrementFailedLogins();
+    const delayMs = this.getLockoutDelayMs(failures);
+
+    if (delayMs <= 0) {
+      await user.releaseLoginAttempt();
+      return 0;
+    }
+
+    await user.update({ locked_until: new Date(Date.now() + delayMs) });
+    return Math.ceil(delayMs / 1000);
+  }
+
+  // The same lockout for an email without an account, kept in the rate limit
+  // store: the first hit of a window claims the attempt, later hits while it
+  // runs are locked out
+  async recordUnknownEmailFailure(email) {
+    const store = this.rateLimitStore;
+    const lockKey = `login-lock:${email}`;
+
+    const claim = await store.hit(lockKey, LOGIN_ATTEMPT_HOLD_MS);
+    if (claim.count > 1) {
+      throw new AccountLockedError(LOCKED_MESSAGE, Math.max(Math.ceil((claim.resetAt - Date.now()) / 1000), 1));
+    }
+
+    const { count: failures } = await store.hit(`login-failures:${email}`, UNKNOWN_EMAIL_FAILURES_TTL_MS);
+    const delayMs = this.getLockoutDelayMs(failures);
+
+    if (delayMs <= 0) {
+      await store.reset(lockKey);
+      return 0;
+    }
+
+    await store.restart(lockKey, delayMs);
+    return Math.ceil(delayMs / 1000);
+  }
+
+  // Accept either a current TOTP code (not replayed) or an unused recovery code
+  async verifySecondFactor(user, code) {
+    const normalized = String(code).replace(/[\s-]/g, '');
+
+    if (/^\d{6}$/.test(normalized)) {
+      const step = totp.verifyCode(decryptSecret(user.totp_secret), normalized);
+      return step !== null && await user.markTotpStepUsed(step);
+    }
+
+    return RecoveryCode.consume(user.id, hashToken(normalized.toUpperCase()));
+  }
+
+  // Start 2FA enrollment: store a new (not yet enforced) secret and return it
+  // as an otpauth:// URI for the authenticator app
+  async enrollTwoFactor(user) {
+    try {
+      if (user.isTwoFactorEnabled()) {
+        throw new ValidationError('Two-factor enrollment failed', [
+          { field: 'code', message: 'Two-factor authentication is already enabled' }
+        ]);
+      }
+
+      const secret = totp.generateSecret();
+      await user.update({ totp_secret: encryptSecret(secret) });
+
+      return {
+        success: true,
+        secret,
+        otpauthUrl: totp.buildOtpauthUri({ secret, accountName: user.email, issuer: this.twoFactorIssuer }),
+        message: 'Scan the QR code with your authenticator app, then confirm with a code'
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Two-factor enroll error', { error });
+      throw new AppError('Failed to start two-factor enrollment');
+    }
+  }
+
+  // Finish enrollment with a code from the app; returns one-time recovery codes
+  async confirmTwoFactor(user, data = {}, context = {}) {
+    try {
+      if (user.isTwoFactorEnabled() || !user.totp_secret) {
+        throw new ValidationError('Two-factor confirmation failed', [
+          { field: 'code', message: 'No pending two-factor enrollment' }
+        ]);
+      }
+
+      const step = totp.verifyCode(decryptSecret(user.totp_secret), String(data.code || '').trim());
+      if (step === null) {
+        throw new ValidationError('Two-factor confirmation failed', [
+          { field: 'code', message: 'Invalid authentication code' }
+        ]);
+      }
+
+      await user.markTotpStepUsed(step);
+      await user.update({ totp_enabled_at: new Date() });
+      const recoveryCodes = await this.regenerateRecoveryCodes(user);
+      await this.auditService.record({ type: 'two_factor_enabled', user, context });
+
+      return {
+        success: true,
+        recoveryCodes,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.'
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Two-factor confirm error', { error });
+      throw new AppError('Failed to enable two-factor authentication');
+    }
+  }
+
+  // Turn 2FA off; requires the password and a current or recovery code
+  async disableTwoFactor(user, data = {}, context = {}) {
+    try {
+      if (!user.isTwoFactorEnabled()) {
+        throw new ValidationError('Two-factor disable failed', [
+          { field: 'code', message: 'Two-factor authentication is not enabled' }
+        ]);
+      }
+
+      const account = await User.findByEmail(user.email);
+      if (!account || !data.password || !(await account.verifyPassword(data.password))) {
+        throw new ValidationError('Two-factor disable failed', [
+          { field: 'password', message: 'Password is incorrect' }
+        ]);
+      }
+
+      if (!data.code || !(await this.verifySecondFactor(user, data.code))) {
+        throw new ValidationError('Two-factor disable failed', [
+          { field: 'code', message: 'Invalid authentication code' }
+        ]);
+      }
+
+      await user.update({ totp_secret: null, totp_enabled_at: null, totp_last_used_step: null });
+      await RecoveryCode.deleteForUser(user.id);
+      await this.auditService.record({ type: 'two_factor_disabled', user, context });
+
+      return {
+        success: true,
+        message: 'Two-factor authentication disabled'
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Two-factor disable error', { error });
+      throw new AppError('Failed to disable two-factor authentication');
+    }
+  }
+
+  // Issue a fresh set of recovery codes, invalidating the previous set
+  async regenerateRecoveryCodes(user, count = 10) {
+    const codes = Array.from({ length: count }, () => generateToken(5).toUpperCase());
+    await RecoveryCode.replaceForUser(user.id, codes.map(code => hashToken(code)));
+
+    // Displayed as XXXXX-XXXXX; dashes and case are ignored when redeeming
+    return codes.map(code => `${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+
+  // Sign a short-lived single-purpose token (email verification, ...).
+  // The purpose claim keeps these from being accepted as access tokens and vice versa.
+  signPurposeToken(purpose, payload, expiresIn) {
+    return jwt.sign({ ...payload, purpose }, this.jwtSecret, { expiresIn });
+  }
+
+  // Verify a single-purpose token, returning its claims
+  verifyPurposeToken(token, purpose) {
+    const decoded = jwt.verify(token, this.jwtSecret);
+    if (decoded.purpose !== purpose) {
+      throw new jwt.JsonWebTokenError('Token purpose mismatch');
+    }
+    return decoded;
+  }
+
+  // Email a verification link to the user's current address
+  async sendVerificationEmail(user) {
+    const token = this.signPurposeToken(
+      'email_verification',
+      { userId: user.id, email: user.email },
+      this.emailVerificationExpiry
+    );
+
+    await this.mailService.sendVerificationEmail(user.email, token);
+  }
+
+  // Confirm ownership of an email address
+  async verifyEmail(token, context = {}) {
+    const invalidToken = new ValidationError('Email verification failed', [
+      { field: 'token', message: 'Verification link is invalid or has expired' }
+    ]);
+
+    try {
+      if (!token || typeof token !== 'string') {
+        throw invalidToken;
+      }
+
+      let decoded;
+      try {
+        decoded = this.verifyPurposeToken(token, 'email_verification');
+      } catch (error) {
+        throw invalidToken;
+      }
+
+      // The token is bound to the address it was sent to
+      const user = await User.findById(decoded.userId);
+      if (!user || user.email !== decoded.email) {
+        throw invalidToken;
+      }
+
+      if (!user.isEmailVerified()) {
+        await user.update({ email_verified_at: new Date() });
+        await this.auditService.record({ type: 'email_verified', user, context });
+        await this.roleService.grantBootstrapAdmin(user);
+      }
+
+      return {
+        success: true,
+        message: 'Email verified successfully',
+        user: user.toSafeObject()
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Email verification error', { error });
+      throw new AppError('Email verification failed. Please try again.');
+    }
+  }
+
+  // Resend the verification link. The response is the same whether or not
+  // the address exists so it cannot be used to probe for accounts.
+  async resendVerification(data = {}) {
+    const response = {
+      success: true,
+      message: 'If an unverified account exists for this email, a new verification link has been sent.'
+    };
+
+    try {
+      const user = await User.findByEmail(sanitizeEmail(data.email));
+      if (user && !user.isEmailVerified()) {
+        await this.sendVerificationEmail(user);
+      }
+
+      return response;
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Resend verification error', { error });
+      throw new AppError('Failed to resend verification email');
+    }
+  }
+
+  // Start a password reset. The response never reveals whether the email
+  // belongs to an account.
+  async forgotPassword(data = {}, context = {}) {
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    };
+
+    try {
+      const user = await User.findByEmail(sanitizeEmail(data.email));
+      if (!user) {
+        return response;
+      }
+
+      await this.issuePasswordReset(user);
+      await this.auditService.record({ type: 'password_reset_requested', user, context });
+
+      return response;
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Forgot password error', { error });
+      throw new AppError('Failed to start password reset');
     }
   }
 
-  // Generate access and refresh tokens
-  generateTokens(user) {
+  // Create a reset token and email the link. Only the most recently emailed
+  // link stays valid.
+  async issuePasswordReset(user) {
+    await PasswordResetToken.invalidateForUser(user.id);
+
+    const token = generateToken();
+    await PasswordResetToken.create({
+      userId: user.id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + this.passwordResetExpiryMinutes * 60 * 1000)
+    });
+
+    await this.mailService.sendPasswordResetEmail(user.email, token, this.passwordResetExpiryMinutes);
+  }
+
+  // Complete a password reset with the emailed token
+  async resetPassword(data = {}, context = {}) {
+    try {
+      const resetToken = await PasswordResetToken.consume(hashToken(data.token));
+      const user = resetToken && await User.findById(resetToken.user_id);
+      if (!user) {
+        await this.auditService.record({ type: 'password_reset', outcome: 'failure', reason: 'invalid_token', context });
+        throw new ValidationError('Password reset failed', [
+          { field: 'token', message: 'Reset link is invalid or has expired' }
+        ]);
+      }
+
+      await user.update({ password: data.password, password_reset_required_at: null });
+
+      // Whoever knew the old password must not keep a session
+      await this.revokeAllSessions(user, 'password_reset');
+      await this.auditService.record({ type: 'password_reset', user, context });
+
+      return {
+        success: true,
+        message: 'Password has been reset. Please log in with your new password.'
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Reset password error', { error });
+      throw new AppError('Failed to reset password');
+    }
+  }
+
+  // Change password of a logged-in user. Other sessions are signed out;
+  // the current one stays logged in.
+  async changePassword(user, data = {}, currentSessionId, context = {}) {
+    try {
+      // req.user is loaded without the password hash
+      const account = await User.findByEmail(user.email);
+      if (!account || !(await account.verifyPassword(data.currentPassword))) {
+        await this.auditService.record({
+          type: 'password_changed',
+          outcome: 'failure',
+          reason: 'invalid_password',
+          user,
+          context
+        });
+        throw new ValidationError('Password change failed', [
+          { field: 'currentPassword', message: 'Current password is incorrect' }
+        ]);
+      }
+
+      await account.update({ password: data.newPassword });
+      await this.revokeOtherSessions(account, currentSessionId, 'password_changed');
+      await this.auditService.record({ type: 'password_changed', user, context });
+
+      return {
+        success: true,
+        message: 'Password changed successfully. Other sessions have been signed out.'
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Change password error', { error });
+      throw new AppError('Failed to change password');
+    }
+  }
+
+  // Request an email change. The new address only takes effect once the link
+  // sent to it is confirmed.
+  async requestEmailChange(user, data = {}, currentSessionId, context = {}) {
+    try {
+      const newEmail = sanitizeEmail(data.newEmail);
+      if (newEmail === user.email) {
+        throw new ValidationError('Email change failed', [
+          { field: 'newEmail', message: 'New email must be different from the current one' }
+        ]);
+      }
+
+      const account = await User.findByEmail(user.email);
+      if (!account || !(await account.verifyPassword(data.password))) {
+        await this.auditService.record({
+          type: 'email_change_requested',
+          outcome: 'failure',
+          reason: 'invalid_password',
+          user,
+          context
+        });
+        throw new ValidationError('Email change failed', [
+          { field: 'password', message: 'Password is incorrect' }
+        ]);
+      }
+
+      if (await User.findByEmail(newEmail)) {
+        throw new ValidationError('Email change failed', [
+          { field: 'newEmail', message: 'An account with this email already exists' }
+        ]);
+      }
+
+      const token = this.signPurposeToken(
+        'email_change',
+        { userId: user.id, email: user.email, newEmail, sessionId: currentSessionId },
+        this.emailVerificationExpiry
+      );
+      await this.mailService.sendEmailChangeEmail(newEmail, token);
+      await this.auditService.record({ type: 'email_change_requested', user, context, metadata: { newEmail } });
+
+      return {
+        success: true,
+        message: 'A confirmation link has been sent to the new address. Your email will change once it is confirmed.'
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Request email change error', { error });
+      throw new AppError('Failed to change email');
+    }
+  }
+
+  // Apply an email change from the link sent to the new address
+  async confirmEmailChange(token, context = {}) {
+    const invalidToken = new ValidationError('Email change failed', [
+      { field: 'token', message: 'Confirmation link is invalid or has expired' }
+    ]);
+
+    try {
+      if (!token || typeof token !== 'string') {
+        throw invalidToken;
+      }
+
+      let decoded;
+      try {
+        decoded = this.verifyPurposeToken(token, 'email_change');
+      } catch (error) {
+        throw invalidToken;
+      }
+
+      // Stale if the email already changed since the link was issued
+      const user = await User.findById(decoded.userId);
+      if (!user || user.email !== decoded.email) {
+        throw invalidToken;
+      }
+
+      if (await User.findByEmail(decoded.newEmail)) {
+        throw new ValidationError('Email change failed', [
+          { field: 'newEmail', message: 'An account with this email already exists' }
+        ]);
+      }
+
+      await user.update({ email: decoded.newEmail, email_verified_at: new Date() });
+      await this.revokeOtherSessions(user, decoded.sessionId, 'email_changed');
+      await this.auditService.record({
+        type: 'email_changed',
+        user,
+        context,
+        metadata: { previousEmail: decoded.email }
+      });
+      await this.roleService.grantBootstrapAdmin(user);
+
+      return {
+        success: true,
+        message: 'Email changed successfully',
+        user: user.toSafeObject()
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Confirm email change error', { error });
+      throw new AppError('Failed to change email');
+    }
+  }
+
+  // Generate access and refresh tokens.
+  // The refresh token is persisted (hashed) under a token family. Without a
+  // sessionId a new session (and family) is started; refresh passes the
+  // existing one so rotation stays linked. The session id is the family id.
+  async generateTokens(user, { sessionId, context = {} } = {}) {
+    const familyId = sessionId || generateId();
+
     const payload = {
       userId: user.id,
       email: user.email
     };
 
-    const accessToken = jwt.sign(
-      payload,
-      this.jwtSecret,
+    // Access tokens carry the session family and the user's token version so
+    // they die together with a logout or "log out of all devices". Roles are
+    // embedded for authorization checks and refreshed on every token refresh.
+    const roles = await Role.findNamesByUserId(user.id);
+    const accessToken = this.keyService.sign(
+      { ...payload, roles, familyId, tokenVersion: user.token_version || 0 },
       { expiresIn: this.accessTokenExpiry }
     );
 
     const refreshToken = jwt.sign(
-      payload,
+      { ...payload, familyId },
       this.jwtRefreshSecret,
-      { expiresIn: this.refreshTokenExpiry }
+      { expiresIn: this.refreshTokenExpiry, jwtid: generateId() }
     );
 
+    const { exp } = jwt.decode(refreshToken);
+    const expiresAt = new Date(exp * 1000);
+
+    if (sessionId) {
+      await Session.touch(sessionId, { ipAddress: context.ipAddress, expiresAt });
+    } else {
+      await Session.create({
+        id: familyId,
+        userId: user.id,
+        userAgent: context.userAgent,
+        ipAddress: context.ipAddress,
+        deviceLabel: this.buildDeviceLabel(context),
+        expiresAt
+      });
+    }
+
+    const storedToken = await RefreshToken.create({
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      expiresAt
+    });
+
     return {
       accessToken,
       refreshToken,
       accessTokenExpiry: this.accessTokenExpiry,
-      refreshTokenExpiry: this.refreshTokenExpiry
+      refreshTokenExpiry: this.refreshTokenExpiry,
+      storedToken
     };
   }
 
+  // Prefer a client-supplied device name, otherwise derive one from the user agent
+  buildDeviceLabel({ deviceName, userAgent } = {}) {
+    if (typeof deviceName === 'string' && deviceName.trim()) {
+      return deviceName.trim().slice(0, 100);
+    }
+    return describeDevice(userAgent);
+  }
+
   // Verify access token
   async verifyAccessToken(token) {
     try {
-      const decoded = jwt.verify(token, this.jwtSecret);
+      const decoded = this.keyService.verify(token);
       const user = await User.findById(decoded.userId);
       
       if (!user) {
-        throw new AuthenticationError('User not found');
+        throw new AuthenticationError('User not found', { reason: 'unknown_user' });
+      }
+
+      if (decoded.tokenVersion !== (user.token_version || 0)) {
+        throw new AuthenticationError('Access token revoked', { reason: 'revoked' });
+      }
+
+      if (!decoded.familyId || await RefreshToken.isFamilyRevoked(decoded.familyId)) {
+        throw new AuthenticationError('Access token revoked', { reason: 'revoked' });
       }
       
-      return user;
+      return { user, claims: decoded };
     } catch (error) {
       if (error instanceof jwt.TokenExpiredError) {
         throw new TokenExpiredError('Access token expired');
       }
       if (error instanceof jwt.JsonWebTokenError) {
-        throw new AuthenticationError('Invalid access token');
+        throw new AuthenticationError('Invalid access token', { reason: 'invalid_token' });
       }
       throw error;
     }
   }
 
-  // Verify refresh token
+  // Verify refresh token signature and look up its server-side record
   async verifyRefreshToken(token) {
     try {
       const decoded = jwt.verify(token, this.jwtRefreshSecret);
+      const storedToken = await RefreshToken.findByHash(hashToken(token));
+
+      if (!storedToken || storedToken.user_id !== decoded.userId) {
+        throw new AuthenticationError('Invalid refresh token', { reason: 'unknown_token' });
+      }
+
       const user = await User.findById(decoded.userId);
       
       if (!user) {
-        throw new AuthenticationError('User not found');
+        throw new AuthenticationError('User not found', { reason: 'unknown_user' });
       }
       
-      return user;
+      return { user, storedToken };
     } catch (error) {
       if (error instanceof jwt.TokenExpiredError) {
         throw new TokenExpiredError('Refresh token expired');
       }
       if (error instanceof jwt.JsonWebTokenError) {
-        throw new AuthenticationError('Invalid refresh token');
+        throw new AuthenticationError('Invalid refresh token', { reason: 'invalid_token' });
       }
       throw error;
     }
   }
 
-  // Refresh access token
-  async refreshAccessToken(refreshToken) {
+  // Owner of a correctly signed refresh token, without touching the database.
+  // Used to key per-user rate limits; returns null for anything invalid.
+  peekRefreshTokenUserId(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    try {
+      return jwt.verify(token, this.jwtRefreshSecret, { ignoreExpiration: true }).userId || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Refresh access token, rotating the refresh token within its family
+  async refreshAccessToken(refreshToken, context = {}) {
     try {
-      const user = await this.verifyRefreshToken(refreshToken);
-      const tokens = this.generateTokens(user);
+      const { user, storedToken } = await this.verifyRefreshToken(refreshToken);
+
+      // A rotated-out token being presented again means it was copied: revoke
+      // the whole family so both the attacker and the legitimate client must log in
+      if (storedToken.isRevoked()) {
+        if (storedToken.revoked_reason === 'rotated') {
+          await this.revokeTokenFamily(storedToken.family_id, 'reuse_detected');
+          throw new AuthenticationError('Refresh token reuse detected', { reason: 'reuse_detected' });
+        }
+        throw new AuthenticationError('Refresh token revoked', { reason: 'revoked' });
+      }
+
+      if (storedToken.isExpired()) {
+        throw new TokenExpiredError('Refresh token expired');
+      }
+
+      const { storedToken: nextToken, ...tokens } = await this.generateTokens(user, {
+        sessionId: storedToken.family_id,
+        context
+      });
+
+      // Lost a race against a concurrent refresh with the same token
+      const rotated = await storedToken.rotate(nextToken.id);
+      if (!rotated) {
+        await this.revokeTokenFamily(storedToken.family_id, 'reuse_detected');
+        throw new AuthenticationError('Refresh token reuse detected', { reason: 'reuse_detected' });
+      }
+
+      await this.auditService.record({
+        type: 'refresh',
+        user,
+        context,
+        metadata: { sessionId: storedToken.family_id }
+      });
+      this.metricsService.recordRefresh('success');
       
       return {
         success: true,
@@ -174,14 +1238,32 @@ class AuthService {
       };
     } catch (error) {
       if (error instanceof TokenExpiredError || error instanceof AuthenticationError) {
+        await this.auditService.record({
+          type: 'refresh',
+          outcome: 'failure',
+          reason: error.reason,
+          userId: this.peekRefreshTokenUserId(refreshToken),
+          context
+        });
+        this.metricsService.recordRefresh('failure');
         throw error;
       }
       
-      console.error('Token refresh error:', error);
-      throw new Error('Failed to refresh token');
+      logger.error('Token refresh error', { error });
+      throw new AppError('Failed to refresh token');
     }
   }
 
+  // Revoke every refresh token issued under a family, ending its session
+  async revokeTokenFamily(familyId, reason) {
+    const revoked = await RefreshToken.revokeFamily(familyId, reason);
+    await Session.revoke(familyId);
+    if (reason === 'reuse_detected') {
+      logger.warn('Refresh token reuse detected', { familyId, revokedTokens: revoked });
+    }
+    return revoked;
+  }
+
   // Get user profile
   async getUserProfile(userId) {
     try {
@@ -196,45 +1278,154 @@ class AuthService {
         throw error;
       }
       
-      console.error('Get user profile error:', error);
-      throw new Error('Failed to get user profile');
+      logger.error('Get user profile error', { error });
+      throw new AppError('Failed to get user profile');
+    }
+  }
+
+  // Logout: revoke the session behind the presented refresh token, falling
+  // back to the session the access token was issued for
+  async logout(user, { refreshToken, familyId } = {}, context = {}) {
+    try {
+      let targetFamilyId = familyId;
+
+      if (refreshToken) {
+        const storedToken = await this.findOwnRefreshToken(user, refreshToken);
+        if (storedToken) {
+          targetFamilyId = storedToken.family_id;
+        }
+      }
+
+      if (targetFamilyId) {
+        await this.revokeTokenFamily(targetFamilyId, 'logout');
+      }
+
+      await this.auditService.record({ type: 'logout', user, context, metadata: { sessionId: targetFamilyId } });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Logout error', { error });
+      throw new AppError('Logout failed');
     }
   }
 
-  // Logout (mainly for clearing server-side sessions if needed)
-  async logout() {
-    // For httpOnly cookies, the main logout logic is handled in the controller
-    // This method can be extended for additional cleanup if needed
-    return { success: true };
+  // Log out of all devices: revoke every refresh token and invalidate every
+  // access token issued so far
+  async logoutAll(user, context = {}) {
+    try {
+      const revoked = await this.revokeAllSessions(user, 'logout_all');
+      await this.auditService.record({ type: 'logout_all', user, context, metadata: { revokedSessions: revoked } });
+
+      return { success: true, revokedSessions: revoked };
+    } catch (error) {
+      logger.error('Logout all error', { error });
+      throw new AppError('Logout failed');
+    }
   }
-}
 
-// Custom error classes
-class ValidationError extends Error {
-  constructor(message, errors = []) {
-    super(message);
-    this.name = 'ValidationError';
-    this.errors = errors;
+  // End every session of a user: refresh tokens, session records and, via the
+  // token version, all outstanding access tokens
+  async revokeAllSessions(user, reason) {
+    await user.incrementTokenVersion();
+    const revoked = await RefreshToken.revokeAllForUser(user.id, reason);
+    await Session.revokeAllForUser(user.id);
+    return revoked;
   }
-}
 
-class AuthenticationError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'AuthenticationError';
+  // End every session of a user except the one making the request
+  async revokeOtherSessions(user, keepSessionId, reason) {
+    if (!keepSessionId) {
+      return this.revokeAllSessions(user, reason);
+    }
+
+    const revoked = await RefreshToken.revokeOtherFamilies(user.id, keepSessionId, reason);
+    await Session.revokeOthersForUser(user.id, keepSessionId);
+    return revoked;
   }
-}
 
-class TokenExpiredError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'TokenExpiredError';
+  // List the user's active sessions, flagging the one making the request
+  async listSessions(user, currentSessionId) {
+    try {
+      const sessions = await Session.findActiveByUser(user.id);
+
+      return sessions.map(session => ({
+        ...session.toSafeObject(),
+        current: session.id === currentSessionId
+      }));
+    } catch (error) {
+      logger.error('List sessions error', { error });
+      throw new AppError('Failed to list sessions');
+    }
+  }
+
+  // Revoke one of the user's sessions (signs that device out)
+  async revokeSession(user, sessionId, context = {}) {
+    try {
+      const session = UUID_PATTERN.test(sessionId) ? await Session.findById(sessionId) : null;
+
+      if (!session || session.user_id !== user.id || !session.isActive()) {
+        throw new NotFoundError('Session not found');
+      }
+
+      await this.revokeTokenFamily(session.id, 'session_revoked');
+      await this.auditService.record({ type: 'session_revoked', user, context, metadata: { sessionId: session.id } });
+
+      return { success: true };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+
+      logger.error('Revoke session error', { error });
+      throw new AppError('Failed to revoke session');
+    }
+  }
+
+  // Page through the user's own audit events, newest first. query is
+  // validated by schemas.auth.getActivity: { page, limit }
+  async getActivity(user, { page = 1, limit = 20 } = {}) {
+    try {
+      const { events, pagination } = await this.auditService.list({ userId: user.id }, { page, limit });
+
+      return {
+        success: true,
+        events: events.map(event => event.toSafeObject()),
+        pagination
+      };
+    } catch (error) {
+      logger.error('Get activity error', { error });
+      throw new AppError('Failed to get activity');
+    }
+  }
+
+  // Look up a refresh token's record if it is genuine and belongs to the user.
+  // Expiry is ignored: an expired token still identifies its family.
+  async findOwnRefreshToken(user, refreshToken) {
+    try {
+      jwt.verify(refreshToken, this.jwtRefreshSecret, { ignoreExpiration: true });
+    } catch (error) {
+      return null;
+    }
+
+    const storedToken = await RefreshToken.findByHash(hashToken(refreshToken));
+    if (!storedToken || storedToken.user_id !== user.id) {
+      return null;
+    }
+
+    return storedToken;
   }
 }
 
+// The error classes live in utils/errors; re-exported for existing imports
 module.exports = {
   AuthService,
   ValidationError,
   AuthenticationError,
-  TokenExpiredError
+  TokenExpiredError,
+  AccountRestrictedError,
+  EmailNotVerifiedError,
+  AccountDisabledError,
+  PasswordResetRequiredError,
+  AccountLockedError,
+  NotFoundError
 };
\ No newline at end of file
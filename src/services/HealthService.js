@@ -0,0 +1,86 @@
+const { MigrationService } = require('./MigrationService');
+const { version } = require('../../package.json');
+
+/**
+ * Liveness and readiness of the service.
+ * Liveness only says the process is up. Readiness checks what requests
+ * depend on: Postgres connectivity (via the pool) and, when Postgres holds
+ * the data, that no migrations are pending. Checks for a backend that is not
+ * in use are reported as 'skipped'.
+ */
+class HealthService {
+  constructor({ timeoutMs = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000 } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.startedAt = Date.now();
+  }
+
+  liveness() {
+    return {
+      status: 'ok',
+      environment: process.env.NODE_ENV || 'development',
+      timestamp: new Date().toISOString(),
+      version,
+      // Set by Render for every deploy
+      commit: process.env.RENDER_GIT_COMMIT,
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+    };
+  }
+
+  // { ready, checks: { database, migrations } }, each check with a status of
+  // 'ok', 'failed' or 'skipped'
+  async readiness({ config, db }) {
+    const usesPostgres = config.dataStore === 'postgres' || config.rateLimitStore === 'postgres';
+
+    const database = usesPostgres
+      ? await this.runCheck(() => this.checkDatabase(db))
+      : { status: 'skipped' };
+
+    const migrations = config.dataStore === 'postgres' && database.status === 'ok'
+      ? await this.runCheck(() => this.checkMigrations(db))
+      : { status: 'skipped' };
+
+    return {
+      ready: database.status !== 'failed' && migrations.status !== 'failed',
+      checks: { database, migrations }
+    };
+  }
+
+  async checkDatabase(db) {
+    await db.pool.query('SELECT 1');
+    return {};
+  }
+
+  async checkMigrations(db) {
+    const { pending } = await new MigrationService({ pool: db.pool }).status({ readOnly: true });
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} pending migration(s)`);
+    }
+    return { pending: 0 };
+  }
+
+  // Run one check with a time limit, reporting its outcome and latency
+  async runCheck(check) {
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      });
+      const details = await Promise.race([check(), timeout]);
+
+      return { status: 'ok', latencyMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+      return { status: 'failed', latencyMs: Date.now() - startedAt, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+const healthService = new HealthService();
+
+module.exports = {
+  HealthService,
+  healthService
+};
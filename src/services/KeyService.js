@@ -0,0 +1,152 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const configManager = require('../../config/config-manager');
+const { generateId } = require('../utils/crypto');
+
+/**
+ * Keys for signing and verifying access tokens.
+ * HS256 signs with the shared JWT_SECRET. RS256/ES256 sign with a PEM private
+ * key and put its key id (kid) in the token header, so other services can
+ * verify tokens with the public keys published at /.well-known/jwks.json and
+ * pick the right one across rotations. Every access token carries iss, aud
+ * and jti claims; verify() requires all three.
+ * Rotation: add the new key first in JWT_SIGNING_KEYS and keep the old one
+ * after it until the tokens it signed have expired.
+ */
+
+// Key type (and curve) each asymmetric algorithm needs
+const KEY_TYPES = {
+  RS256: { type: 'rsa' },
+  ES256: { type: 'ec', curve: 'prime256v1' }
+};
+
+// Read a PEM file and check it fits the algorithm
+const loadKey = ({ kid, path }, algorithm, { isPrivate }) => {
+  let key;
+  try {
+    const pem = fs.readFileSync(path);
+    key = isPrivate ? crypto.createPrivateKey(pem) : crypto.createPublicKey(pem);
+  } catch (error) {
+    throw new Error(`Cannot load ${isPrivate ? 'private' : 'public'} key "${kid}" from ${path}: ${error.message}`);
+  }
+
+  const { type, curve } = KEY_TYPES[algorithm];
+  if (key.asymmetricKeyType !== type || (curve && key.asymmetricKeyDetails.namedCurve !== curve)) {
+    throw new Error(`Key "${kid}" (${path}) cannot be used with ${algorithm}`);
+  }
+
+  return key;
+};
+
+class KeyService {
+  constructor(config = configManager.getJwtConfig()) {
+    this.configure(config);
+  }
+
+  // Load keys and claims from settings shaped like configManager.getJwtConfig()
+  configure({ algorithm, secret, refreshSecret, signingKeys = [], verificationKeys = [], issuer, audience }) {
+    this.algorithm = algorithm;
+    this.secret = secret;
+    this.refreshSecret = refreshSecret;
+    this.issuer = issuer;
+    this.audience = audience;
+
+    if (algorithm === 'HS256') {
+      this.keys = [{ kid: null, privateKey: secret, publicKey: secret }];
+      return;
+    }
+
+    if (!KEY_TYPES[algorithm]) {
+      throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+    }
+    if (signingKeys.length === 0) {
+      throw new Error(`${algorithm} needs at least one signing key`);
+    }
+
+    const keys = [
+      ...signingKeys.map((entry) => {
+        const privateKey = loadKey(entry, algorithm, { isPrivate: true });
+        return { kid: entry.kid, privateKey, publicKey: crypto.createPublicKey(privateKey) };
+      }),
+      ...verificationKeys.map(entry => ({
+        kid: entry.kid,
+        privateKey: null,
+        publicKey: loadKey(entry, algorithm, { isPrivate: false })
+      }))
+    ];
+
+    const kids = keys.map(key => key.kid);
+    const duplicate = kids.find((kid, index) => kids.indexOf(kid) !== index);
+    if (duplicate) {
+      throw new Error(`Duplicate key id: ${duplicate}`);
+    }
+
+    this.keys = keys;
+  }
+
+  // Sign access token claims with the current key
+  sign(payload, { expiresIn }) {
+    const [key] = this.keys;
+    const options = {
+      algorithm: this.algorithm,
+      expiresIn,
+      issuer: this.issuer,
+      audience: this.audience,
+      jwtid: generateId()
+    };
+    if (key.kid) {
+      options.keyid = key.kid;
+    }
+
+    return jwt.sign(payload, key.privateKey, options);
+  }
+
+  // Verify an access token's signature, expiry, issuer and audience and
+  // return its claims. Throws the jsonwebtoken errors.
+  verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const key = this.algorithm === 'HS256'
+      ? this.keys[0]
+      : this.keys.find(candidate => candidate.kid === decoded.header.kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    const claims = jwt.verify(token, key.publicKey, {
+      algorithms: [this.algorithm],
+      issuer: this.issuer,
+      audience: this.audience
+    });
+    if (!claims.jti) {
+      throw new jwt.JsonWebTokenError('jwt id missing');
+    }
+
+    return claims;
+  }
+
+  // Public keys as a JWK Set (RFC 7517); empty for HS256, whose secret is shared
+  getJwks() {
+    return {
+      keys: this.keys
+        .filter(key => key.kid)
+        .map(key => ({
+          ...key.publicKey.export({ format: 'jwk' }),
+          kid: key.kid,
+          use: 'sig',
+          alg: this.algorithm
+        }))
+    };
+  }
+}
+
+const keyService = new KeyService();
+
+module.exports = {
+  KeyService,
+  keyService
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+/**
+ * Mail delivery with pluggable transports.
+ * A transport is any object with an async `send(message)` method, where
+ * message is { from, to, subject, text }. The built-in transports never
+ * leave the machine, so flows that send mail work offline.
+ */
+
+// Writes messages to the log. The text carries live verification and reset
+// links, so it is left out in production, where logs are shipped and kept.
+class ConsoleTransport {
+  constructor({ includeText = process.env.NODE_ENV !== 'production' } = {}) {
+    this.includeText = includeText;
+  }
+
+  async send(message) {
+    logger.info('📧 Outgoing mail', {
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      ...(this.includeText && { text: message.text })
+    });
+    return { delivered: true };
+  }
+}
+
+// Appends messages as JSON lines to a local outbox file
+class FileTransport {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const entry = { ...message, sentAt: new Date().toISOString() };
+    await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+    return { delivered: true };
+  }
+}
+
+// Build a transport from MAIL_TRANSPORT ('console' or 'file')
+const createTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  switch (name) {
+    case 'console':
+      return new ConsoleTransport();
+    case 'file':
+      return new FileTransport(process.env.MAIL_OUTBOX_FILE || path.join(process.cwd(), 'logs', 'mail-outbox.log'));
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
+
+class MailService {
+  constructor(transport = createTransport()) {
+    this.transport = transport;
+    this.from = process.env.MAIL_FROM || 'no-reply@localhost';
+    this.appUrl = process.env.FRONTEND_ORIGIN || 'http://localhost:3000';
+  }
+
+  // Swap the transport at runtime (e.g. an SMTP/API client in production)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text }) {
+    return this.transport.send({ from: this.from, to, subject, text });
+  }
+
+  // Email address verification after registration
+  async sendVerificationEmail(email, token) {
+    const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: email,
+      subject: 'Verify your email address',
+      text: [
+        'Welcome! Please confirm your email address by opening the link below:',
+        '',
+        link,
+        '',
+        'If you did not create an account, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  // Password reset link for the forgot-password flow
+  async sendPasswordResetEmail(email, token, expiresInMinutes) {
+    const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: email,
+      subject: 'Reset your password',
+      text: [
+        'We received a request to reset your password. Open the link below to choose a new one:',
+        '',
+        link,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not request a password reset, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  // Confirmation link sent to the new address when changing email
+  async sendEmailChangeEmail(newEmail, token) {
+    const link = `${this.appUrl}/confirm-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: newEmail,
+      subject: 'Confirm your new email address',
+      text: [
+        'Please confirm this address as the new email for your account by opening the link below:',
+        '',
+        link,
+        '',
+        'Your email will not change until you confirm. If you did not request this, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+}
+
+// Shared instance so every service delivers through the same transport
+const mailService = new MailService();
+
+module.exports = {
+  MailService,
+  ConsoleTransport,
+  FileTransport,
+  createTransport,
+  mailService
+};
@@ -0,0 +1,122 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics, served in text format by GET /metrics.
+ * Each service instance owns its own registry so tests and embedded apps
+ * do not collide with other prom-client users in the process.
+ */
+
+// Request latency buckets in seconds; bcrypt-bound routes sit around 0.1-0.5s
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+class MetricsService {
+  constructor({ collectDefaults = true } = {}) {
+    this.registry = new client.Registry();
+    this.pool = null;
+
+    if (collectDefaults) {
+      client.collectDefaultMetrics({ register: this.registry });
+    }
+
+    this.httpRequests = new client.Counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route and status code',
+      labelNames: ['method', 'route', 'status'],
+      registers: [this.registry]
+    });
+
+    this.httpRequestDuration = new client.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency by method and route',
+      labelNames: ['method', 'route'],
+      buckets: DURATION_BUCKETS,
+      registers: [this.registry]
+    });
+
+    this.logins = new client.Counter({
+      name: 'auth_logins_total',
+      help: 'Login attempts by step (password, two_factor, oauth) and outcome (success, failure, two_factor_required)',
+      labelNames: ['step', 'outcome'],
+      registers: [this.registry]
+    });
+
+    this.refreshes = new client.Counter({
+      name: 'auth_token_refreshes_total',
+      help: 'Refresh token exchanges by outcome',
+      labelNames: ['outcome'],
+      registers: [this.registry]
+    });
+
+    this.rateLimitRejections = new client.Counter({
+      name: 'rate_limit_rejections_total',
+      help: 'Requests rejected with 429 by rate limit policy',
+      labelNames: ['policy'],
+      registers: [this.registry]
+    });
+
+    this.legacyRequests = new client.Counter({
+      name: 'legacy_route_requests_total',
+      help: 'Requests to deprecated URL aliases by mount (/api, /user)',
+      labelNames: ['mount'],
+      registers: [this.registry]
+    });
+
+    // Sampled from the pg pool on every scrape
+    const metrics = this;
+    const poolGauge = (name, help, read) => new client.Gauge({
+      name,
+      help,
+      registers: [this.registry],
+      collect() {
+        if (metrics.pool) {
+          this.set(read(metrics.pool));
+        }
+      }
+    });
+    poolGauge('pg_pool_connections_total', 'Clients in the Postgres pool', pool => pool.totalCount);
+    poolGauge('pg_pool_connections_idle', 'Idle clients in the Postgres pool', pool => pool.idleCount);
+    poolGauge('pg_pool_requests_waiting', 'Queries waiting for a free Postgres client', pool => pool.waitingCount);
+  }
+
+  // Report statistics of this pg pool
+  setPool(pool) {
+    this.pool = pool;
+  }
+
+  observeRequest({ method, route, status, durationSeconds }) {
+    this.httpRequests.inc({ method, route, status });
+    this.httpRequestDuration.observe({ method, route }, durationSeconds);
+  }
+
+  recordLogin(step, outcome) {
+    this.logins.inc({ step, outcome });
+  }
+
+  recordRefresh(outcome) {
+    this.refreshes.inc({ outcome });
+  }
+
+  recordRateLimitRejection(policy) {
+    this.rateLimitRejections.inc({ policy });
+  }
+
+  recordLegacyRequest(mount) {
+    this.legacyRequests.inc({ mount });
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  // Exposition text for a scrape
+  async render() {
+    return this.registry.metrics();
+  }
+}
+
+const metricsService = new MetricsService();
+
+module.exports = {
+  MetricsService,
+  metricsService
+};
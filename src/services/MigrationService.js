@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../../db');
+
+/**
+ * Versioned SQL migrations.
+ * Each migration is a pair of files in sql/migrations:
+ *   <version>_<name>.up.sql    applied by migrate
+ *   <version>_<name>.down.sql  applied by rollback
+ * Applied versions are recorded in schema_migrations. Every run holds a
+ * Postgres advisory lock so concurrent deploys apply migrations one at a time.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'sql', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary application-wide key for pg_advisory_lock
+const MIGRATION_LOCK_KEY = 727001;
+
+class MigrationService {
+  constructor({ directory = MIGRATIONS_DIR, pool = db.pool } = {}) {
+    this.directory = directory;
+    this.pool = pool;
+  }
+
+  // Read the migration files, ordered by version
+  loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.directory).sort()) {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        continue;
+      }
+
+      const [, version, name, direction] = match;
+      const existing = migrations.get(version);
+      if (existing && existing.name !== name) {
+        throw new Error(`Duplicate migration version ${version}: ${existing.name} and ${name}`);
+      }
+
+      const migration = existing || { version, name };
+      migration[direction] = fs.readFileSync(path.join(this.directory, file), 'utf8');
+      migrations.set(version, migration);
+    }
+
+    return [...migrations.values()].map(migration => {
+      if (migration.up === undefined) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no up file`);
+      }
+
+      return { ...migration, checksum: this.checksum(migration.up) };
+    });
+  }
+
+  checksum(sql) {
+    return crypto.createHash('sha256').update(sql).digest('hex');
+  }
+
+  // Applied and pending migrations. Applied migrations whose up file changed
+  // since they ran are flagged as modified. With readOnly (health checks,
+  // startup) nothing is written: a missing schema_migrations table means
+  // every migration is pending.
+  async status({ readOnly = false } = {}) {
+    const client = await this.pool.connect();
+    try {
+      if (!readOnly) {
+        await this.ensureMigrationsTable(client);
+      } else if (!(await this.hasMigrationsTable(client))) {
+        return { applied: [], pending: this.loadMigrations(), missing: [] };
+      }
+      return await this.buildStatus(client);
+    } finally {
+      client.release();
+    }
+  }
+
+  // True when at least one migration has not been applied
+  async hasPending() {
+    const { pending } = await this.status();
+    return pending.length > 0;
+  }
+
+  // Apply every pending migration in version order, each in its own transaction
+  async migrate() {
+    return this.withLock(async (client) => {
+      const { pending } = await this.buildStatus(client);
+      const applied = [];
+
+      for (const migration of pending) {
+        await this.runInTransaction(client, migration, migration.up, () => client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        ));
+        applied.push(migration);
+      }
+
+      return applied;
+    });
+  }
+
+  // Revert the most recently applied migrations (one by default)
+  async rollback({ steps = 1 } = {}) {
+    return this.withLock(async (client) => {
+      const { applied } = await this.buildStatus(client);
+      const reverted = [];
+
+      for (const migration of applied.slice(-steps).reverse()) {
+        if (migration.down === undefined) {
+          throw new Error(`Migration ${migration.version}_${migration.name} has no down file`);
+        }
+
+        await this.runInTransaction(client, migration, migration.down, () => client.query(
+          'DELETE FROM schema_migrations WHERE version = $1',
+          [migration.version]
+        ));
+        reverted.push(migration);
+      }
+
+      return reverted;
+    });
+  }
+
+  async buildStatus(client) {
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    const recorded = new Map(result.rows.map(row => [row.version, row]));
+    const migrations = this.loadMigrations();
+
+    const applied = [];
+    const pending = [];
+    for (const migration of migrations) {
+      const row = recorded.get(migration.version);
+      if (row) {
+        applied.push({ ...migration, appliedAt: row.applied_at, modified: row.checksum !== migration.checksum });
+        recorded.delete(migration.version);
+      } else {
+        pending.push(migration);
+      }
+    }
+
+    // Recorded versions without files (e.g. deployed from a newer branch)
+    const missing = [...recorded.values()].map(row => ({ version: row.version, name: row.name }));
+
+    return { applied, pending, missing };
+  }
+
+  async hasMigrationsTable(client) {
+    const result = await client.query("SELECT to_regclass('schema_migrations') AS name");
+    return !!(result.rows[0] && result.rows[0].name);
+  }
+
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(32) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+      )
+    `);
+  }
+
+  // Run `work` on a dedicated connection while holding the migration lock
+  async withLock(work) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      try {
+        await this.ensureMigrationsTable(client);
+        return await work(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  // Run one migration file and its bookkeeping atomically
+  async runInTransaction(client, migration, sql, record) {
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      await record();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      error.message = `Migration ${migration.version}_${migration.name} failed: ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+// Shared instance using the application's pool
+const migrationService = new MigrationService();
+
+module.exports = {
+  MigrationService,
+  migrationService,
+  MIGRATIONS_DIR
+};
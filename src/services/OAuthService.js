@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const configManager = require('../../config/config-manager');
+const { generateToken, encryptSecret, decryptSecret } = require('../utils/crypto');
+const { AppError, AuthenticationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Client side of the OAuth2 authorization code flow with PKCE (RFC 7636)
+ * for social login, against the providers of configManager.getOAuthConfig().
+ * This service only talks to providers: it builds the authorization URL and
+ * turns the code from the callback into a profile
+ * { subject, email, emailVerified }. AuthService links profiles to accounts.
+ * Between start and callback the state and PKCE verifier are kept in an
+ * encrypted cookie (the "flow"), which also ties the callback to the browser
+ * that started the sign-in.
+ */
+
+// How long a started sign-in stays valid
+const FLOW_TTL_MS = 10 * 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const REQUIRED_SETTINGS = ['clientId', 'authorizationUrl', 'tokenUrl', 'userInfoUrl'];
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const safeEqual = (a, b) => {
+  const expected = Buffer.from(String(a));
+  const actual = Buffer.from(String(b));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Read { subject, email, emailVerified } with a provider access token
+const PROFILE_READERS = {
+  // OpenID Connect userinfo (Google and most identity providers)
+  oidc: async (service, provider, accessToken) => {
+    const info = await service.request(provider, provider.userInfoUrl, { accessToken });
+
+    return {
+      subject: info.sub,
+      email: info.email,
+      emailVerified: info.email_verified === true || info.email_verified === 'true'
+    };
+  },
+
+  // GitHub: the subject is the numeric user id and verified addresses come
+  // from a separate endpoint (the profile email may be unverified or hidden)
+  github: async (service, provider, accessToken) => {
+    const info = await service.request(provider, provider.userInfoUrl, { accessToken });
+    const emails = provider.emailsUrl
+      ? await service.request(provider, provider.emailsUrl, { accessToken })
+      : [];
+    const primary = Array.isArray(emails) ? emails.find(entry => entry.primary && entry.verified) : null;
+
+    return {
+      subject: info.id,
+      email: primary ? primary.email : undefined,
+      emailVerified: !!primary
+    };
+  }
+};
+
+class OAuthService {
+  constructor(config = configManager.getOAuthConfig()) {
+    this.configure(config);
+  }
+
+  // Load providers from settings shaped like configManager.getOAuthConfig()
+  configure({ providers = {}, redirectBaseUrl, frontendRedirectUrl }) {
+    for (const provider of Object.values(providers)) {
+      const missing = REQUIRED_SETTINGS.filter(key => !provider[key]);
+      if (missing.length > 0) {
+        throw new Error(`OAuth provider "${provider.name}" is missing ${missing.join(', ')}`);
+      }
+      if (!PROFILE_READERS[provider.profile]) {
+        throw new Error(`OAuth provider "${provider.name}" has an unknown profile type: ${provider.profile}`);
+      }
+    }
+
+    this.providers = providers;
+    this.redirectBaseUrl = redirectBaseUrl;
+    this.frontendRedirectUrl = frontendRedirectUrl;
+  }
+
+  // Names of the enabled providers
+  listProviders() {
+    return Object.keys(this.providers);
+  }
+
+  getProvider(name) {
+    const provider = Object.prototype.hasOwnProperty.call(this.providers, name) && this.providers[name];
+    if (!provider) {
+      throw new NotFoundError('Unknown sign-in provider', { code: 'OAUTH_PROVIDER_NOT_FOUND', details: { provider: name } });
+    }
+    return provider;
+  }
+
+  getRedirectUri(provider) {
+    return `${this.redirectBaseUrl}/api/v1/auth/oauth/${provider.name}/callback`;
+  }
+
+  // Frontend page the callback sends the browser to, with `params` (a
+  // one-time code or an error) in the query string
+  getFrontendRedirectUrl(params = {}) {
+    const url = new URL(this.frontendRedirectUrl);
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, value);
+    }
+    return url.toString();
+  }
+
+  // Begin a sign-in: returns the provider URL to send the browser to and the
+  // sealed flow to keep until the callback
+  startAuthorization(name) {
+    const provider = this.getProvider(name);
+    const state = generateToken(16);
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const url = new URL(provider.authorizationUrl);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', this.getRedirectUri(provider));
+    url.searchParams.set('scope', provider.scope);
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    const flow = encryptSecret(JSON.stringify({
+      provider: name,
+      state,
+      codeVerifier,
+      expiresAt: Date.now() + FLOW_TTL_MS
+    }));
+
+    return { url: url.toString(), flow, maxAgeMs: FLOW_TTL_MS };
+  }
+
+  // Check the callback's state against the sealed flow; returns the PKCE verifier
+  openFlow(sealed, name, state) {
+    let flow = null;
+    try {
+      flow = sealed ? JSON.parse(decryptSecret(sealed)) : null;
+    } catch (error) {
+      flow = null;
+    }
+
+    if (!flow || flow.provider !== name || flow.expiresAt < Date.now() || !state || !safeEqual(flow.state, state)) {
+      throw new AuthenticationError('Sign-in expired or was started in another browser. Please try again.', {
+        code: 'OAUTH_INVALID_STATE',
+        reason: 'invalid_state'
+      });
+    }
+
+    return flow.codeVerifier;
+  }
+
+  // Exchange the authorization code and read the user's profile
+  async completeAuthorization(name, { code, codeVerifier }) {
+    const provider = this.getProvider(name);
+
+    const tokens = await this.request(provider, provider.tokenUrl, {
+      method: 'POST',
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.getRedirectUri(provider),
+        client_id: provider.clientId,
+        ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+        code_verifier: codeVerifier
+      })
+    });
+    if (!tokens.access_token) {
+      throw new AuthenticationError('Sign-in with the provider failed', { code: 'OAUTH_FAILED', reason: 'token_exchange_failed' });
+    }
+
+    const profile = await PROFILE_READERS[provider.profile](this, provider, tokens.access_token);
+    if (profile.subject === undefined || profile.subject === null || profile.subject === '') {
+      throw this.providerError(provider);
+    }
+
+    return { ...profile, subject: String(profile.subject) };
+  }
+
+  // JSON request to a provider endpoint. Rejections (4xx, e.g. a used or
+  // expired code) fail the sign-in; outages answer 502.
+  async request(provider, url, { method = 'GET', body, accessToken } = {}) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        body,
+        headers: {
+          Accept: 'application/json',
+          'User-Agent': 'auth-backend',
+          ...(accessToken && { Authorization: `Bearer ${accessToken}` })
+        },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw this.providerError(provider);
+    }
+
+    const payload = await response.json().catch(() => null);
+
+    if (response.status >= 400 && response.status < 500) {
+      throw new AuthenticationError('Sign-in with the provider failed', { code: 'OAUTH_FAILED', reason: 'provider_rejected' });
+    }
+    if (!response.ok || !payload || typeof payload !== 'object') {
+      throw this.providerError(provider);
+    }
+
+    return payload;
+  }
+
+  providerError(provider) {
+    return new AppError('The sign-in provider is not available. Please try again later.', {
+      status: 502,
+      code: 'OAUTH_PROVIDER_ERROR',
+      details: { provider: provider.name }
+    });
+  }
+}
+
+// Shared instance
+const oauthService = new OAuthService();
+
+module.exports = {
+  OAuthService,
+  oauthService
+};
@@ -0,0 +1,141 @@
+const db = require('../../db');
+const { logger } = require('../utils/logger');
+
+/**
+ * Rate limit stores.
+ * A store counts hits per key in fixed windows. Every store implements:
+ *   hit(key, windowMs)     -> Promise<{ count, resetAt }>  (resetAt in ms since epoch)
+ *   restart(key, windowMs) -> Promise<{ count, resetAt }>  new window with a count of 1,
+ *                             replacing any running one
+ *   reset(key)             -> Promise<void>
+ */
+
+// Process-local store. Counters reset on restart and are not shared between instances.
+// Expired windows are dropped every `pruneEvery` hits; beyond `maxKeys` the
+// oldest windows are evicted (Map order is window start), so a flood of
+// clients costs neither a scan per request nor unbounded memory.
+class MemoryRateLimitStore {
+  constructor({ maxKeys = 10000, pruneEvery = 1000 } = {}) {
+    this.windows = new Map();
+    this.maxKeys = maxKeys;
+    this.pruneEvery = pruneEvery;
+    this.hits = 0;
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+
+    if (++this.hits % this.pruneEvery === 0) {
+      this.prune(now);
+    }
+
+    let entry = this.windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = this.startWindow(key, now + windowMs);
+    }
+
+    entry.count++;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async restart(key, windowMs) {
+    const entry = this.startWindow(key, Date.now() + windowMs);
+
+    entry.count++;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  startWindow(key, resetAt) {
+    // Re-insert so the map stays ordered by window start
+    this.windows.delete(key);
+    const entry = { count: 0, resetAt };
+    this.windows.set(key, entry);
+
+    while (this.windows.size > this.maxKeys) {
+      this.windows.delete(this.windows.keys().next().value);
+    }
+
+    return entry;
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.windows.entries()) {
+      if (entry.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+// Shared store backed by the rate_limits table, so limits survive restarts
+// and apply across instances
+class PostgresRateLimitStore {
+  constructor({ pruneEvery = 1000, client = db } = {}) {
+    this.pruneEvery = pruneEvery;
+    this.db = client;
+    this.hits = 0;
+  }
+
+  async hit(key, windowMs) {
+    // Opportunistically drop expired windows
+    if (++this.hits % this.pruneEvery === 0) {
+      this.prune().catch(error => logger.error('Rate limit prune error', { error }));
+    }
+
+    const result = await this.db.query(
+      `INSERT INTO rate_limits (key, count, reset_at)
+       VALUES ($1, 1, now() + ($2 || ' milliseconds')::interval)
+       ON CONFLICT (key) DO UPDATE SET
+         count = CASE WHEN rate_limits.reset_at <= now() THEN 1 ELSE rate_limits.count + 1 END,
+         reset_at = CASE WHEN rate_limits.reset_at <= now() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+       RETURNING count, reset_at`,
+      [key, String(windowMs)]
+    );
+
+    const row = result.rows[0];
+    return { count: row.count, resetAt: new Date(row.reset_at).getTime() };
+  }
+
+  async restart(key, windowMs) {
+    const result = await this.db.query(
+      `INSERT INTO rate_limits (key, count, reset_at)
+       VALUES ($1, 1, now() + ($2 || ' milliseconds')::interval)
+       ON CONFLICT (key) DO UPDATE SET count = 1, reset_at = EXCLUDED.reset_at
+       RETURNING count, reset_at`,
+      [key, String(windowMs)]
+    );
+
+    const row = result.rows[0];
+    return { count: row.count, resetAt: new Date(row.reset_at).getTime() };
+  }
+
+  async reset(key) {
+    await this.db.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+  }
+
+  async prune() {
+    await this.db.query('DELETE FROM rate_limits WHERE reset_at <= now()');
+  }
+}
+
+// Build the store selected by RATE_LIMIT_STORE ('memory' or 'postgres')
+const createRateLimitStore = (name = process.env.RATE_LIMIT_STORE || 'memory', { db: client } = {}) => {
+  switch (name) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    case 'postgres':
+      return new PostgresRateLimitStore({ client });
+    default:
+      throw new Error(`Unknown rate limit store: ${name}`);
+  }
+};
+
+module.exports = {
+  MemoryRateLimitStore,
+  PostgresRateLimitStore,
+  createRateLimitStore
+};
@@ -0,0 +1,83 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const configManager = require('../../config/config-manager');
+const { sanitizeEmail } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+
+class RoleService {
+  // Role names granted to a user
+  async getUserRoles(userId) {
+    return Role.findNamesByUserId(userId);
+  }
+
+  // Permission names granted by a set of roles
+  async getPermissionsForRoles(roleNames) {
+    return Role.findPermissionNamesByRoles(roleNames);
+  }
+
+  async assignRole(userId, roleName) {
+    return Role.assignToUser(userId, roleName);
+  }
+
+  async removeRole(userId, roleName) {
+    return Role.removeFromUser(userId, roleName);
+  }
+
+  // Grant the admin role to every configured bootstrap email that already has
+  // a verified account. Unverified accounts are skipped: anyone could have
+  // registered the address first. Safe to run repeatedly (startup,
+  // `npm run seed:admin`).
+  async seedAdminsFromConfig(emails = configManager.getBootstrapAdminEmails()) {
+    const granted = [];
+    const missing = [];
+    const unverified = [];
+
+    for (const email of emails.map(sanitizeEmail).filter(Boolean)) {
+      const user = await User.findByEmail(email);
+      if (!user) {
+        missing.push(email);
+        continue;
+      }
+      if (!user.isEmailVerified()) {
+        unverified.push(email);
+        continue;
+      }
+
+      await Role.assignToUser(user.id, 'admin');
+      granted.push(email);
+    }
+
+    if (granted.length > 0) {
+      logger.info(`👑 Admin role ensured for: ${granted.join(', ')}`);
+    }
+    if (missing.length > 0) {
+      logger.warn(`⚠️  Bootstrap admin accounts not registered yet: ${missing.join(', ')}`);
+    }
+    if (unverified.length > 0) {
+      logger.warn(`⚠️  Bootstrap admin accounts skipped until their email is verified: ${unverified.join(', ')}`);
+    }
+
+    return { granted, missing, unverified };
+  }
+
+  // Grant the admin role to a bootstrap account as soon as its email is
+  // verified, so a fresh deployment needs no restart or seed run (which
+  // cannot reach an in-memory store from another process)
+  async grantBootstrapAdmin(user, emails = configManager.getBootstrapAdminEmails()) {
+    if (!user.isEmailVerified() || !emails.map(sanitizeEmail).includes(user.email)) {
+      return false;
+    }
+
+    await Role.assignToUser(user.id, 'admin');
+    logger.info(`👑 Admin role granted to bootstrap account ${user.email}`);
+    return true;
+  }
+}
+
+// Shared instance
+const roleService = new RoleService();
+
+module.exports = {
+  RoleService,
+  roleService
+};
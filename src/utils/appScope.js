@@ -0,0 +1,25 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Dependencies of the app handling the current request
+ * ({ repositories, rateLimitStore, keyService, oauthService }).
+ * createApp builds them for each app and runs every request in its scope, so
+ * several apps with different stores or keys can live in one process. Code
+ * outside a request (startup tasks, scripts, tests) runs in an app's scope
+ * with runInAppScope(app.locals.scope, fn), or gets the process defaults.
+ */
+const storage = new AsyncLocalStorage();
+
+// Run fn (and everything it schedules) with the given dependencies
+const runInAppScope = (scope, fn) => storage.run(scope, fn);
+
+// The current app's dependency `name`, or `fallback` outside any app scope
+const fromAppScope = (name, fallback) => {
+  const scope = storage.getStore();
+  return (scope && scope[name]) || fallback;
+};
+
+module.exports = {
+  runInAppScope,
+  fromAppScope
+};
@@ -1,7 +1,27 @@
 /**
  * Cookie utilities for secure token management
+ * With TOKEN_TRANSPORT=cookie, tokens travel in httpOnly cookies and
+ * state-changing requests authenticated by them must pass a double-submit
+ * CSRF check (see hasValidCsrfToken).
  */
 
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateToken } = require('./crypto');
+
+const ACCESS_COOKIE = 'accessToken';
+const REFRESH_COOKIE = 'refreshToken';
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'X-CSRF-Token';
+const OAUTH_FLOW_COOKIE = 'oauthFlow';
+
+// Browsers only send the refresh cookie to the refresh endpoint, and the
+// social login flow cookie to the OAuth callbacks
+const REFRESH_COOKIE_PATH = '/api/v1/auth/refresh';
+const OAUTH_COOKIE_PATH = '/api/v1/auth/oauth';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 const generateCookieOptions = () => {
   const isDev = process.env.NODE_ENV !== 'production';
   
@@ -40,24 +60,94 @@ const parseCookies = (cookieHeader) => {
 };
 
 const extractTokensFromCookies = (req) => {
-  // Try to get from cookie-parser first (if available)
-  if (req.cookies) {
-    return {
-      accessToken: req.cookies.accessToken,
-      refreshToken: req.cookies.refreshToken
-    };
-  }
+  // Try to get from cookie-parser first (if available), fall back to manual parsing
+  const cookies = req.cookies || parseCookies(req.headers.cookie);
 
-  // Fallback to manual parsing
-  const cookies = parseCookies(req.headers.cookie);
   return {
-    accessToken: cookies.accessToken,
-    refreshToken: cookies.refreshToken
+    accessToken: cookies[ACCESS_COOKIE],
+    refreshToken: cookies[REFRESH_COOKIE],
+    csrfToken: cookies[CSRF_COOKIE],
+    oauthFlow: cookies[OAUTH_FLOW_COOKIE]
   };
 };
 
+// Cookie expiry matching the token's exp claim
+const tokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Set the httpOnly token cookies and a new CSRF token; returns the CSRF token,
+// which the client echoes in the X-CSRF-Token header
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const options = generateCookieOptions();
+  const csrfToken = generateToken();
+  const refreshExpires = tokenExpiry(refreshToken);
+
+  res.cookie(ACCESS_COOKIE, accessToken, { ...options, expires: tokenExpiry(accessToken) });
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...options, path: REFRESH_COOKIE_PATH, expires: refreshExpires });
+  // Readable by scripts, unlike the token cookies
+  res.cookie(CSRF_COOKIE, csrfToken, { ...options, httpOnly: false, expires: refreshExpires });
+
+  return csrfToken;
+};
+
+const clearAuthCookies = (res) => {
+  const options = generateCookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, options);
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: REFRESH_COOKIE_PATH });
+  res.clearCookie(CSRF_COOKIE, { ...options, httpOnly: false });
+};
+
+// The CSRF token of the request's cookies, set as a new cookie if there is
+// none. Frontends on another site cannot read the csrfToken cookie and get it
+// from GET /auth/csrf instead (CORS keeps other sites from reading that).
+const issueCsrfToken = (req, res) => {
+  const current = extractTokensFromCookies(req).csrfToken;
+  if (current) {
+    return current;
+  }
+
+  const csrfToken = generateToken();
+  res.cookie(CSRF_COOKIE, csrfToken, { ...generateCookieOptions(), httpOnly: false });
+  return csrfToken;
+};
+
+// Keep a started social login (sealed state and PKCE verifier) until the
+// provider redirects back
+const setOAuthFlowCookie = (res, flow, maxAge) => {
+  res.cookie(OAUTH_FLOW_COOKIE, flow, { ...generateCookieOptions(), path: OAUTH_COOKIE_PATH, maxAge });
+};
+
+const clearOAuthFlowCookie = (res) => {
+  res.clearCookie(OAUTH_FLOW_COOKIE, { ...generateCookieOptions(), path: OAUTH_COOKIE_PATH });
+};
+
+// Double-submit check: another site can make the browser send our cookies
+// but cannot read the CSRF cookie to repeat it in the header
+const hasValidCsrfToken = (req) => {
+  const cookie = extractTokensFromCookies(req).csrfToken;
+  const header = req.get(CSRF_HEADER);
+  if (!cookie || !header) {
+    return false;
+  }
+
+  const expected = Buffer.from(cookie);
+  const actual = Buffer.from(header);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const isSafeMethod = (method) => SAFE_METHODS.includes(method);
+
 module.exports = {
+  CSRF_HEADER,
+  REFRESH_COOKIE_PATH,
   generateCookieOptions,
   parseCookies,
-  extractTokensFromCookies
-};
\ No newline at end of file
+  extractTokensFromCookies,
+  setAuthCookies,
+  clearAuthCookies,
+  issueCsrfToken,
+  setOAuthFlowCookie,
+  clearOAuthFlowCookie,
+  hasValidCsrfToken,
+  isSafeMethod
+};
@@ -0,0 +1,48 @@
+/**
+ * Crypto utilities for opaque tokens stored server-side
+ */
+
+const crypto = require('crypto');
+
+// Tokens are only ever persisted as a SHA-256 digest so a database leak
+// does not hand out usable credentials
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const generateId = () => crypto.randomUUID();
+
+// Random URL-safe secret for emailed links
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Symmetric encryption for secrets that must be readable again (e.g. TOTP
+// seeds). Key comes from SECRETS_ENCRYPTION_KEY, falling back to JWT_SECRET.
+const getEncryptionKey = () => {
+  const secret = process.env.SECRETS_ENCRYPTION_KEY || process.env.JWT_SECRET || 'change_me';
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [iv, tag, encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  hashToken,
+  generateId,
+  generateToken,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,120 @@
+/**
+ * Error hierarchy shared by services, middleware and controllers.
+ * Every AppError carries the HTTP status and the stable `code` it is answered
+ * with; src/middleware/errorHandler.js turns them into responses, so clients
+ * can switch on `code` instead of message strings. AppError messages are shown
+ * to clients, as are `details` (extra response fields). Any other error is
+ * answered as a generic 500 INTERNAL_ERROR.
+ */
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// `errors` lists the offending fields as { field, message }
+class ValidationError extends AppError {
+  constructor(message, errors = [], { code = 'VALIDATION_FAILED' } = {}) {
+    super(message, { status: 400, code });
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// `reason` is a machine-readable code recorded in the audit log
+class AuthenticationError extends AppError {
+  constructor(message, { retryAfter, reason = 'invalid_credentials', code = 'INVALID_CREDENTIALS', status = 401 } = {}) {
+    super(message, { status, code });
+    this.name = 'AuthenticationError';
+    this.retryAfter = retryAfter;
+    this.reason = reason;
+  }
+}
+
+class TokenExpiredError extends AppError {
+  constructor(message, { code = 'TOKEN_EXPIRED' } = {}) {
+    super(message, { status: 401, code });
+    this.name = 'TokenExpiredError';
+    this.reason = 'expired';
+  }
+}
+
+// Valid credentials, but the account may not log in right now
+class AccountRestrictedError extends AuthenticationError {
+  constructor(message, code) {
+    super(message, { reason: code.toLowerCase(), code, status: 403 });
+    this.name = 'AccountRestrictedError';
+  }
+}
+
+class EmailNotVerifiedError extends AccountRestrictedError {
+  constructor(message) {
+    super(message, 'EMAIL_NOT_VERIFIED');
+    this.name = 'EmailNotVerifiedError';
+  }
+}
+
+class AccountDisabledError extends AccountRestrictedError {
+  constructor(message) {
+    super(message, 'ACCOUNT_DISABLED');
+    this.name = 'AccountDisabledError';
+  }
+}
+
+class PasswordResetRequiredError extends AccountRestrictedError {
+  constructor(message) {
+    super(message, 'PASSWORD_RESET_REQUIRED');
+    this.name = 'PasswordResetRequiredError';
+  }
+}
+
+class AccountLockedError extends AuthenticationError {
+  constructor(message, retryAfter) {
+    super(message, { retryAfter, reason: 'account_locked', code: 'ACCOUNT_LOCKED', status: 423 });
+    this.name = 'AccountLockedError';
+  }
+}
+
+// Authenticated, but not allowed to do this
+class ForbiddenError extends AppError {
+  constructor(message, { code = 'FORBIDDEN', details } = {}) {
+    super(message, { status: 403, code, details });
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, { code = 'NOT_FOUND', details } = {}) {
+    super(message, { status: 404, code, details });
+    this.name = 'NotFoundError';
+  }
+}
+
+// `retryAfter` is in seconds
+class RateLimitError extends AppError {
+  constructor(message, { retryAfter, details } = {}) {
+    super(message, { status: 429, code: 'RATE_LIMITED', details });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  TokenExpiredError,
+  AccountRestrictedError,
+  EmailNotVerifiedError,
+  AccountDisabledError,
+  PasswordResetRequiredError,
+  AccountLockedError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitError
+};
@@ -0,0 +1,143 @@
+const util = require('util');
+const { getRequestContext } = require('./requestContext');
+
+/**
+ * Application logger.
+ *   logger.debug|info|warn|error(message, fields)
+ * fields is an optional object of extra data; Error values are serialized
+ * with their stack. Every line carries the current request's requestId.
+ * Values under keys naming credentials are replaced with [REDACTED]: keys
+ * whose last word is password, secret, token, cookie, authorization, ...
+ * (refreshToken, totp_secret, x-csrf-token) and 2FA codes. Keys that only
+ * mention one (tokenTransport, revokedTokens) are kept.
+ *
+ * LOG_LEVEL   - debug | info (default; debug with ENABLE_DEBUG=true) | warn | error
+ * LOG_FORMAT  - json (default in production): one JSON object per line
+ *               pretty (default otherwise): human-readable lines
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+// Last words of credential keys, and whole keys (lowercase, without _ and -)
+const SENSITIVE_WORDS = new Set(['password', 'passwd', 'pass', 'passphrase', 'secret', 'token', 'cookie', 'cookies', 'authorization', 'verifier']);
+const SENSITIVE_KEYS = new Set(['code', 'codes', 'recoverycode', 'recoverycodes']);
+
+// accessToken -> token, totp_secret -> secret, Set-Cookie -> cookie
+const lastWord = (key) => key.split(/[_\-\s]+|(?<=[a-z0-9])(?=[A-Z])/).pop().toLowerCase();
+
+const isSensitiveKey = (key) => SENSITIVE_WORDS.has(lastWord(key)) ||
+  SENSITIVE_KEYS.has(key.toLowerCase().replace(/[_-]/g, ''));
+
+// Deepest level of nested objects written out
+const MAX_DEPTH = 6;
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack
+});
+
+// Copy a value for logging with credentials blanked out
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = isSensitiveKey(key) && item !== undefined && item !== null
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+const defaultLevel = () => process.env.LOG_LEVEL ||
+  (process.env.NODE_ENV !== 'production' && process.env.ENABLE_DEBUG === 'true' ? 'debug' : 'info');
+
+const defaultFormat = () => process.env.LOG_FORMAT ||
+  (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+const formatJson = (level, message, fields) => JSON.stringify({
+  time: new Date().toISOString(),
+  level,
+  msg: message,
+  ...fields
+});
+
+// "message [requestId]" followed by one indented "key: value" line per field
+const formatPretty = (level, message, { requestId, ...fields }) => {
+  const lines = [requestId ? `${message} [${requestId}]` : message];
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) {
+      continue;
+    }
+    const text = typeof value === 'string'
+      ? value
+      : (value && value.stack) || util.inspect(value, { depth: MAX_DEPTH, breakLength: 120 });
+    lines.push(`   ${key}: ${text.split('\n').join('\n     ')}`);
+  }
+
+  return lines.join('\n');
+};
+
+const WRITERS = {
+  debug: (line) => console.log(line),
+  info: (line) => console.log(line),
+  warn: (line) => console.warn(line),
+  error: (line) => console.error(line)
+};
+
+/**
+ * Build a logger. level and format default to LOG_LEVEL/LOG_FORMAT, read
+ * on every call so the shared logger follows configuration loaded later.
+ */
+const createLogger = ({ level, format } = {}) => {
+  const isLevelEnabled = (name) => LEVELS[name] >= (LEVELS[level || defaultLevel()] || LEVELS.info);
+
+  const write = (lineLevel, message, fields = {}) => {
+    if (!isLevelEnabled(lineLevel)) {
+      return;
+    }
+
+    const context = getRequestContext();
+    const data = {
+      ...(context && { requestId: context.requestId }),
+      ...redact(fields instanceof Error ? { error: fields } : fields)
+    };
+
+    const line = (format || defaultFormat()) === 'json'
+      ? formatJson(lineLevel, message, data)
+      : formatPretty(lineLevel, message, data);
+    WRITERS[lineLevel](line);
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    isLevelEnabled
+  };
+};
+
+// Shared logger used throughout the app
+const logger = createLogger();
+
+module.exports = {
+  createLogger,
+  logger,
+  redact
+};
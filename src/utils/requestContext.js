@@ -0,0 +1,18 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context ({ requestId }) that follows the request through
+ * every async call, so log lines can be tied to the request that caused them.
+ */
+const storage = new AsyncLocalStorage();
+
+// Run fn (and everything it schedules) with the given context
+const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+// Context of the request being handled, or undefined outside a request
+const getRequestContext = () => storage.getStore();
+
+module.exports = {
+  runWithRequestContext,
+  getRequestContext
+};
@@ -0,0 +1,65 @@
+/**
+ * Introspection of Express routers (Express 4 internals)
+ */
+
+// Express 4 only keeps the compiled pattern of a mount path, e.g.
+// /^\/auth\/?(?=\/|$)/i for '/auth'
+const mountPath = (layer) => {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+
+  const match = layer.regexp.source.match(/^\^(.*)\\\/\?\(\?=\\\/\|\$\)$/);
+  if (!match) {
+    throw new Error(`Cannot read mount path of ${layer.regexp}`);
+  }
+  return match[1].replace(/\\\//g, '/');
+};
+
+// The routes an Express app serves, as [{ method, path }] with paths in
+// Express syntax (/api/v1/auth/sessions/:id). A router mounted more than
+// once is listed only at its first mount point.
+function listRoutes(app) {
+  const routes = [];
+  const visited = new Set();
+
+  const walk = (stack, prefix) => {
+    for (const layer of stack) {
+      if (layer.route) {
+        const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+        for (const path of paths) {
+          for (const method of Object.keys(layer.route.methods)) {
+            routes.push({ method: method.toUpperCase(), path: `${prefix}${path}` });
+          }
+        }
+      } else if (layer.handle && Array.isArray(layer.handle.stack) && !visited.has(layer.handle)) {
+        visited.add(layer.handle);
+        walk(layer.handle.stack, `${prefix}${mountPath(layer)}`);
+      }
+    }
+  };
+
+  walk(app._router.stack, '');
+  return routes;
+}
+
+// First path segment of every route and mount point of a router ('auth' for
+// router.use('/auth', ...)), i.e. the sections of the URL space it serves
+function listTopLevelSegments(router) {
+  const segments = new Set();
+
+  for (const layer of router.stack) {
+    const path = layer.route ? layer.route.path : mountPath(layer);
+    const segment = typeof path === 'string' && path.split('/')[1];
+    if (segment) {
+      segments.add(segment);
+    }
+  }
+
+  return segments;
+}
+
+module.exports = {
+  listRoutes,
+  listTopLevelSegments
+};
@@ -0,0 +1,193 @@
+/**
+ * Validation against a subset of JSON Schema, so the same schema objects can
+ * be handed to the frontend and the API docs.
+ * Supported keywords: type (string, integer, number, boolean, object, array),
+ * properties, required, additionalProperties: false, items, minLength,
+ * maxLength, pattern, format (email, uuid, date-time), enum, minimum, maximum.
+ * Problems are reported in the `{ field, message }` format of ValidationError.
+ * Messages are derived from `title` (or the field name); a property may
+ * override them per keyword with `x-messages`, e.g. { minLength: '...' }.
+ */
+
+const { validateEmail } = require('./validation');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ISO 8601 date-time; a plain date (2024-01-31) is accepted as its midnight (UTC)
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const FORMATS = {
+  email: {
+    test: validateEmail,
+    message: () => 'Please enter a valid email address'
+  },
+  uuid: {
+    test: (value) => UUID_PATTERN.test(value),
+    message: (label) => `${label} must be a valid id`
+  },
+  'date-time': {
+    test: (value) => DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value)),
+    message: (label) => `${label} must be a valid ISO 8601 date`
+  }
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array'
+};
+
+// newPassword -> 'New password'
+const labelFor = (schema, field) => {
+  if (schema.title) {
+    return schema.title;
+  }
+  const name = field.split('.').pop().replace(/\[\d+\]$/, '');
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const hasType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+// Query strings and route params arrive as strings; convert them to the
+// declared type where that is unambiguous
+const coerce = (value, type) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((type === 'integer' || type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Validate `value` against `schema`.
+ * Options:
+ *   coerce - convert strings to the declared scalar types (query, params)
+ * Returns { value, errors }, where value has the coerced scalars.
+ */
+function validateSchema(schema, value, { coerce: shouldCoerce = false } = {}) {
+  const errors = [];
+
+  const check = (schema, value, path) => {
+    const label = labelFor(schema, path || 'value');
+    const messages = schema['x-messages'] || {};
+    const fail = (keyword, fallback) => {
+      errors.push({ field: path, message: messages[keyword] || fallback });
+      return value;
+    };
+
+    if (shouldCoerce) {
+      value = coerce(value, schema.type);
+    }
+
+    if (schema.type && !hasType(value, schema.type)) {
+      return fail('type', `${label} must be ${TYPE_NAMES[schema.type]}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return fail('enum', `${label} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return fail('minLength', schema.minLength === 1
+          ? `${label} is required`
+          : `${label} must be at least ${schema.minLength} characters long`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fail('maxLength', `${label} must be at most ${schema.maxLength} characters long`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return fail('pattern', `${label} is invalid`);
+      }
+      const format = FORMATS[schema.format];
+      if (format && !format.test(value)) {
+        return fail('format', format.message(label));
+      }
+    }
+
+    if (typeof value === 'number') {
+      const { minimum, maximum } = schema;
+      const outOfRange = (minimum !== undefined && value < minimum) || (maximum !== undefined && value > maximum);
+      if (outOfRange) {
+        if (minimum !== undefined && maximum !== undefined) {
+          return fail('range', `${label} must be between ${minimum} and ${maximum}`);
+        }
+        return minimum !== undefined
+          ? fail('minimum', `${label} must be at least ${minimum}`)
+          : fail('maximum', `${label} must be at most ${maximum}`);
+      }
+    }
+
+    if (hasType(value, 'object') && (schema.properties || schema.additionalProperties === false)) {
+      // Own keys only: `constructor` or `__proto__` must not resolve to
+      // Object.prototype members
+      const propertyOf = (key) => (schema.properties && hasOwn(schema.properties, key) ? schema.properties[key] : undefined);
+      const result = { ...value };
+
+      // Empty strings and nulls count as missing for required fields
+      const missing = (schema.required || [])
+        .filter(key => value[key] === undefined || value[key] === null || value[key] === '');
+
+      for (const key of missing) {
+        const property = propertyOf(key) || {};
+        const propertyMessages = property['x-messages'] || {};
+        errors.push({
+          field: joinPath(path, key),
+          message: propertyMessages.required || `${labelFor(property, key)} is required`
+        });
+      }
+
+      for (const [key, item] of Object.entries(value)) {
+        const property = propertyOf(key);
+        if (property) {
+          if (item !== undefined && !missing.includes(key)) {
+            result[key] = check(property, item, joinPath(path, key));
+          }
+        } else if (schema.additionalProperties === false) {
+          errors.push({ field: joinPath(path, key), message: 'Unknown field' });
+        }
+      }
+
+      return result;
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      return value.map((item, index) => check(schema.items, item, `${path}[${index}]`));
+    }
+
+    return value;
+  };
+
+  const result = check(schema, value, '');
+  return { value: result, errors };
+}
+
+module.exports = {
+  validateSchema
+};
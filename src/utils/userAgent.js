@@ -0,0 +1,53 @@
+/**
+ * Client utilities for labelling login sessions and audit events
+ */
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+  ['Postman', /PostmanRuntime\//],
+  ['curl', /^curl\//]
+];
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+  const entry = list.find(([, pattern]) => pattern.test(userAgent));
+  return entry ? entry[0] : null;
+};
+
+// Build a human readable label such as "Chrome on Windows"
+const describeDevice = (userAgent) => {
+  if (!userAgent || typeof userAgent !== 'string') {
+    return 'Unknown device';
+  }
+
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+
+  return browser || platform || 'Unknown device';
+};
+
+// The calling client as recorded on sessions and audit events
+const getClientContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+module.exports = {
+  describeDevice,
+  getClientContext
+};
@@ -1,5 +1,7 @@
 /**
- * Validation utilities
+ * Validation utilities. Request payloads are checked against the route
+ * schemas (src/schemas); these helpers are shared by the schema validator
+ * and the services.
  */
 
 const validateEmail = (email) => {
@@ -11,61 +13,6 @@ const validateEmail = (email) => {
   return emailRegex.test(email.trim().toLowerCase());
 };
 
-const validatePassword = (password) => {
-  if (!password || typeof password !== 'string') {
-    return { valid: false, message: 'Password is required' };
-  }
-  
-  if (password.length < 6) {
-    return { valid: false, message: 'Password must be at least 6 characters long' };
-  }
-  
-  if (password.length > 128) {
-    return { valid: false, message: 'Password must be less than 128 characters long' };
-  }
-  
-  // Optional: Add more complex password requirements
-  // const hasUpperCase = /[A-Z]/.test(password);
-  // const hasLowerCase = /[a-z]/.test(password);
-  // const hasNumbers = /\d/.test(password);
-  // const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-  
-  return { valid: true };
-};
-
-const validateRegistrationData = (data) => {
-  const errors = [];
-  
-  if (!data.email) {
-    errors.push({ field: 'email', message: 'Email is required' });
-  } else if (!validateEmail(data.email)) {
-    errors.push({ field: 'email', message: 'Please enter a valid email address' });
-  }
-  
-  const passwordValidation = validatePassword(data.password);
-  if (!passwordValidation.valid) {
-    errors.push({ field: 'password', message: passwordValidation.message });
-  }
-  
-  return errors;
-};
-
-const validateLoginData = (data) => {
-  const errors = [];
-  
-  if (!data.email) {
-    errors.push({ field: 'email', message: 'Email is required' });
-  } else if (!validateEmail(data.email)) {
-    errors.push({ field: 'email', message: 'Please enter a valid email address' });
-  }
-  
-  if (!data.password) {
-    errors.push({ field: 'password', message: 'Password is required' });
-  }
-  
-  return errors;
-};
-
 const sanitizeEmail = (email) => {
   if (!email || typeof email !== 'string') {
     return '';
@@ -75,8 +22,5 @@ const sanitizeEmail = (email) => {
 
 module.exports = {
   validateEmail,
-  validatePassword,
-  validateRegistrationData,
-  validateLoginData,
   sanitizeEmail
 };
\ No newline at end of file
@@ -0,0 +1,446 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const {
+  app,
+  request,
+  uniqueEmail,
+  authHeader,
+  createUser,
+  lastMailToken,
+  expireToken
+} = require('./helpers');
+const totp = require('../src/utils/totp');
+
+describe('POST /api/auth/register', () => {
+  it('creates an account and sends a verification email', async () => {
+    const email = uniqueEmail();
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: email.toUpperCase(), password: 'secret123' })
+      .expect(201);
+
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.user.email, email);
+    assert.equal(res.body.user.email_verified, false);
+    assert.equal(res.body.user.password, undefined);
+    assert.ok(lastMailToken(email));
+  });
+
+  it('rejects a duplicate email', async () => {
+    const email = uniqueEmail();
+    await request(app).post('/api/auth/register').send({ email, password: 'secret123' }).expect(201);
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email, password: 'other123' })
+      .expect(400);
+
+    assert.deepEqual(res.body.errors, [
+      { field: 'email', message: 'An account with this email already exists' }
+    ]);
+  });
+
+  it('validates email and password', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'not-an-email', password: '123' })
+      .expect(400);
+
+    assert.deepEqual(res.body.errors.map(error => error.field), ['email', 'password']);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('returns an access/refresh token pair', async () => {
+    const { accessToken, refreshToken, user } = await createUser();
+
+    assert.ok(accessToken);
+    assert.ok(refreshToken);
+    assert.deepEqual(jwt.decode(accessToken).roles, ['user']);
+    assert.equal(typeof user.id, 'number');
+  });
+
+  it('rejects a wrong password with a retry delay', async () => {
+    const { email } = await createUser();
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'wrong-password' })
+      .expect(401);
+
+    assert.equal(res.body.message, 'Invalid email or password');
+    assert.equal(res.body.retryAfter, 1);
+    assert.equal(res.headers['retry-after'], '1');
+  });
+
+  it('locks the account while the backoff is running', async () => {
+    const { email, password } = await createUser();
+    await request(app).post('/api/auth/login').send({ email, password: 'wrong-password' }).expect(401);
+
+    const res = await request(app).post('/api/auth/login').send({ email, password }).expect(423);
+
+    assert.equal(res.body.code, 'ACCOUNT_LOCKED');
+    assert.ok(res.headers['retry-after']);
+  });
+
+  it('does not reveal unknown emails', async () => {
+    const { email } = await createUser();
+    const addresses = [email, uniqueEmail()];
+
+    // Wrong password, then a retry while the backoff runs
+    for (const status of [401, 423]) {
+      const [known, unknown] = await Promise.all(addresses.map(address => request(app)
+        .post('/api/auth/login')
+        .send({ email: address, password: 'wrong-password' })
+        .expect(status)));
+
+      const { requestId: knownId, ...knownBody } = known.body;
+      const { requestId: unknownId, ...unknownBody } = unknown.body;
+      assert.deepEqual(knownBody, unknownBody);
+      assert.equal(known.headers['retry-after'], unknown.headers['retry-after']);
+    }
+  });
+
+  it('checks only one of concurrent attempts', async () => {
+    const { email } = await createUser();
+
+    for (const address of [email, uniqueEmail()]) {
+      const responses = await Promise.all(Array.from({ length: 4 }, () => request(app)
+        .post('/api/auth/login')
+        .send({ email: address, password: 'wrong-password' })));
+
+      assert.deepEqual(responses.map(res => res.status).sort(), [401, 423, 423, 423]);
+    }
+  });
+
+  it('validates input', async () => {
+    const res = await request(app).post('/api/auth/login').send({}).expect(400);
+
+    assert.deepEqual(res.body.errors.map(error => error.field), ['email', 'password']);
+  });
+});
+
+describe('GET /api/auth/me', () => {
+  it('returns the profile for a valid token', async () => {
+    const { accessToken, email } = await createUser();
+
+    const res = await request(app).get('/api/auth/me').set(authHeader(accessToken)).expect(200);
+
+    assert.equal(res.body.user.email, email);
+  });
+
+  it('requires a token (NO_TOKEN)', async () => {
+    const res = await request(app).get('/api/auth/me').expect(401);
+
+    assert.equal(res.body.code, 'NO_TOKEN');
+  });
+
+  it('rejects an expired token (TOKEN_EXPIRED)', async () => {
+    const { accessToken } = await createUser();
+
+    const res = await request(app).get('/api/auth/me').set(authHeader(expireToken(accessToken))).expect(401);
+
+    assert.equal(res.body.code, 'TOKEN_EXPIRED');
+  });
+
+  it('rejects a forged token (INVALID_TOKEN)', async () => {
+    const { accessToken } = await createUser();
+    const forged = jwt.sign(jwt.decode(accessToken), 'not-the-secret');
+
+    const res = await request(app).get('/api/auth/me').set(authHeader(forged)).expect(401);
+
+    assert.equal(res.body.code, 'INVALID_TOKEN');
+  });
+});
+
+describe('GET /api/auth/verify', () => {
+  it('confirms a valid token', async () => {
+    const { accessToken, email } = await createUser();
+
+    const res = await request(app).get('/api/auth/verify').set(authHeader(accessToken)).expect(200);
+
+    assert.equal(res.body.valid, true);
+    assert.equal(res.body.user.email, email);
+  });
+
+  it('rejects a missing token', async () => {
+    const res = await request(app).get('/api/auth/verify').expect(401);
+
+    assert.equal(res.body.code, 'NO_TOKEN');
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh token', async () => {
+    const { refreshToken } = await createUser();
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+
+    assert.ok(res.body.accessToken);
+    assert.ok(res.body.refreshToken);
+    assert.notEqual(res.body.refreshToken, refreshToken);
+  });
+
+  it('revokes the family when a rotated token is reused', async () => {
+    const { refreshToken } = await createUser();
+    const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+
+    await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(401);
+
+    // The legitimate client's tokens die with the family
+    await request(app).post('/api/auth/refresh').send({ refreshToken: rotated.body.refreshToken }).expect(401);
+    await request(app).get('/api/auth/me').set(authHeader(rotated.body.accessToken)).expect(401);
+  });
+
+  it('requires a refresh token', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({}).expect(401);
+
+    assert.equal(res.body.message, 'Refresh token required');
+  });
+
+  it('rejects an invalid refresh token', async () => {
+    await request(app).post('/api/auth/refresh').send({ refreshToken: 'garbage' }).expect(401);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('ends the session', async () => {
+    const { accessToken, refreshToken } = await createUser();
+
+    await request(app).post('/api/auth/logout').set(authHeader(accessToken)).send({ refreshToken }).expect(200);
+
+    await request(app).get('/api/auth/me').set(authHeader(accessToken)).expect(401);
+    await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(401);
+  });
+
+  it('requires a token', async () => {
+    const res = await request(app).post('/api/auth/logout').expect(401);
+
+    assert.equal(res.body.code, 'NO_TOKEN');
+  });
+});
+
+describe('POST /api/auth/logout-all', () => {
+  it('ends every session of the user', async () => {
+    const first = await createUser();
+    const second = await request(app)
+      .post('/api/auth/login')
+      .send({ email: first.email, password: first.password })
+      .expect(200);
+
+    const res = await request(app).post('/api/auth/logout-all').set(authHeader(first.accessToken)).expect(200);
+
+    assert.equal(res.body.revokedSessions, 2);
+    await request(app).get('/api/auth/me').set(authHeader(second.body.accessToken)).expect(401);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: second.body.refreshToken }).expect(401);
+  });
+});
+
+describe('sessions', () => {
+  it('lists sessions and revokes one of them', async () => {
+    const first = await createUser();
+    const second = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36')
+      .send({ email: first.email, password: first.password })
+      .expect(200);
+
+    const list = await request(app).get('/api/auth/sessions').set(authHeader(first.accessToken)).expect(200);
+    assert.equal(list.body.sessions.length, 2);
+    assert.equal(list.body.sessions.filter(session => session.current).length, 1);
+
+    const other = list.body.sessions.find(session => !session.current);
+    assert.equal(other.device_label, 'Chrome on Windows');
+
+    await request(app).delete(`/api/auth/sessions/${other.id}`).set(authHeader(first.accessToken)).expect(200);
+    await request(app).get('/api/auth/me').set(authHeader(second.body.accessToken)).expect(401);
+  });
+
+  it('labels a session with the device name given at login', async () => {
+    const { email, password } = await createUser();
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password, deviceName: 'Work laptop' })
+      .expect(200);
+
+    const list = await request(app).get('/api/auth/sessions').set(authHeader(res.body.accessToken)).expect(200);
+
+    assert.equal(list.body.sessions.find(session => session.current).device_label, 'Work laptop');
+  });
+
+  it('returns 404 for an unknown session', async () => {
+    const { accessToken } = await createUser();
+
+    await request(app).delete('/api/auth/sessions/not-a-session').set(authHeader(accessToken)).expect(404);
+  });
+});
+
+describe('email verification', () => {
+  it('verifies the address from the emailed link', async () => {
+    const email = uniqueEmail();
+    await request(app).post('/api/auth/register').send({ email, password: 'secret123' }).expect(201);
+
+    const res = await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token: lastMailToken(email) })
+      .expect(200);
+
+    assert.equal(res.body.user.email_verified, true);
+  });
+
+  it('rejects an invalid link', async () => {
+    await request(app).post('/api/auth/verify-email').send({ token: 'garbage' }).expect(400);
+  });
+
+  it('resends the link without revealing whether the account exists', async () => {
+    const { email } = await createUser();
+
+    const known = await request(app).post('/api/auth/resend-verification').send({ email }).expect(200);
+    const unknown = await request(app).post('/api/auth/resend-verification').send({ email: uniqueEmail() }).expect(200);
+
+    assert.equal(known.body.message, unknown.body.message);
+  });
+});
+
+describe('password reset', () => {
+  it('resets the password with the emailed token and signs out everywhere', async () => {
+    const { email, accessToken } = await createUser();
+
+    await request(app).post('/api/auth/forgot-password').send({ email }).expect(200);
+    const token = lastMailToken(email);
+
+    await request(app).post('/api/auth/reset-password').send({ token, password: 'brandnew123' }).expect(200);
+
+    await request(app).get('/api/auth/me').set(authHeader(accessToken)).expect(401);
+    await request(app).post('/api/auth/login').send({ email, password: 'brandnew123' }).expect(200);
+
+    // Reset links are single-use
+    await request(app).post('/api/auth/reset-password').send({ token, password: 'again12345' }).expect(400);
+  });
+
+  it('answers the same for unknown emails', async () => {
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: uniqueEmail() }).expect(200);
+
+    assert.equal(res.body.success, true);
+  });
+});
+
+describe('PUT /api/auth/password', () => {
+  it('changes the password and keeps the current session', async () => {
+    const { email, password, accessToken } = await createUser();
+
+    await request(app)
+      .put('/api/auth/password')
+      .set(authHeader(accessToken))
+      .send({ currentPassword: password, newPassword: 'changed123' })
+      .expect(200);
+
+    await request(app).get('/api/auth/me').set(authHeader(accessToken)).expect(200);
+    await request(app).post('/api/auth/login').send({ email, password: 'changed123' }).expect(200);
+  });
+
+  it('requires the current password', async () => {
+    const { accessToken } = await createUser();
+
+    const res = await request(app)
+      .put('/api/auth/password')
+      .set(authHeader(accessToken))
+      .send({ currentPassword: 'wrong-password', newPassword: 'changed123' })
+      .expect(400);
+
+    assert.equal(res.body.errors[0].field, 'currentPassword');
+  });
+});
+
+describe('email change', () => {
+  it('changes the email once the new address is confirmed', async () => {
+    const { password, accessToken } = await createUser();
+    const newEmail = uniqueEmail('changed');
+
+    await request(app)
+      .put('/api/auth/email')
+      .set(authHeader(accessToken))
+      .send({ newEmail, password })
+      .expect(202);
+
+    const res = await request(app)
+      .post('/api/auth/email/confirm')
+      .send({ token: lastMailToken(newEmail) })
+      .expect(200);
+
+    assert.equal(res.body.user.email, newEmail);
+    await request(app).post('/api/auth/login').send({ email: newEmail, password }).expect(200);
+  });
+
+  it('rejects an address that is already taken', async () => {
+    const { password, accessToken } = await createUser();
+    const { email: taken } = await createUser();
+
+    await request(app)
+      .put('/api/auth/email')
+      .set(authHeader(accessToken))
+      .send({ newEmail: taken, password })
+      .expect(400);
+  });
+});
+
+describe('two-factor authentication', () => {
+  it('enrolls, requires a code at login and can be disabled', async () => {
+    const { email, password, accessToken } = await createUser();
+
+    const enroll = await request(app).post('/api/auth/2fa/enroll').set(authHeader(accessToken)).expect(200);
+    const { secret } = enroll.body;
+
+    const confirm = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set(authHeader(accessToken))
+      .send({ code: totp.generateCode(secret) })
+      .expect(200);
+    assert.equal(confirm.body.recoveryCodes.length, 10);
+
+    const login = await request(app).post('/api/auth/login').send({ email, password }).expect(200);
+    assert.equal(login.body.twoFactorRequired, true);
+    assert.equal(login.body.accessToken, undefined);
+
+    const second = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: login.body.challengeToken, code: confirm.body.recoveryCodes[0] })
+      .expect(200);
+    assert.ok(second.body.accessToken);
+
+    await request(app)
+      .post('/api/auth/2fa/disable')
+      .set(authHeader(second.body.accessToken))
+      .send({ password, code: confirm.body.recoveryCodes[1] })
+      .expect(200);
+
+    const plain = await request(app).post('/api/auth/login').send({ email, password }).expect(200);
+    assert.ok(plain.body.accessToken);
+  });
+
+  it('rejects an invalid challenge', async () => {
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: 'garbage', code: '123456' })
+      .expect(401);
+  });
+});
+
+describe('GET /api/auth/activity', () => {
+  it('lists the user\'s own security events, newest first', async () => {
+    const { email, accessToken } = await createUser();
+
+    const res = await request(app).get('/api/auth/activity').set(authHeader(accessToken)).expect(200);
+
+    assert.deepEqual(res.body.events.map(event => event.event_type), ['login', 'register']);
+    assert.equal(res.body.pagination.total, 2);
+    assert.equal(res.body.events[0].email, undefined, `no admin fields for ${email}`);
+  });
+
+  it('validates pagination', async () => {
+    const { accessToken } = await createUser();
+
+    await request(app).get('/api/auth/activity?limit=0').set(authHeader(accessToken)).expect(400);
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, createUser, authHeader } = require('./helpers');
+const configManager = require('../config/config-manager');
+const { createApp } = require('../app');
+
+const cookieApp = createApp({ config: { ...configManager.getAppConfig(), tokenTransport: 'cookie' } });
+
+// Set-Cookie header of the named cookie
+const findCookie = (res, name) => (res.headers['set-cookie'] || []).find(cookie => cookie.startsWith(`${name}=`));
+
+// Log in through a cookie jar, as a browser would
+const browserLogin = async () => {
+  const { email, password } = await createUser({ app: cookieApp });
+  const agent = request.agent(cookieApp);
+  const res = await agent.post('/api/v1/auth/login').send({ email, password }).expect(200);
+  return { agent, res, csrfToken: res.body.csrfToken };
+};
+
+describe('cookie transport', () => {
+  it('sets httpOnly token cookies on login instead of returning the tokens', async () => {
+    const { res, csrfToken } = await browserLogin();
+
+    assert.equal(res.body.accessToken, undefined);
+    assert.equal(res.body.refreshToken, undefined);
+    assert.ok(res.body.user);
+
+    assert.match(findCookie(res, 'accessToken'), /; Path=\/;.*HttpOnly/);
+    assert.match(findCookie(res, 'refreshToken'), /; Path=\/api\/v1\/auth\/refresh;.*HttpOnly/);
+    const csrfCookie = findCookie(res, 'csrfToken');
+    assert.ok(csrfCookie.startsWith(`csrfToken=${csrfToken};`));
+    assert.doesNotMatch(csrfCookie, /HttpOnly/);
+  });
+
+  it('authenticates requests with the access token cookie', async () => {
+    const { agent } = await browserLogin();
+
+    await agent.get('/api/v1/auth/me').expect(200);
+  });
+
+  it('rejects state-changing requests without the CSRF token', async () => {
+    const { agent, csrfToken } = await browserLogin();
+
+    let res = await agent.post('/api/v1/auth/logout').send({}).expect(403);
+    assert.equal(res.body.code, 'CSRF_TOKEN_INVALID');
+
+    res = await agent.post('/api/v1/auth/logout').set('X-CSRF-Token', 'not-the-token').send({}).expect(403);
+    assert.equal(res.body.code, 'CSRF_TOKEN_INVALID');
+
+    res = await agent.post('/api/v1/auth/logout').set('X-CSRF-Token', csrfToken).send({}).expect(200);
+    assert.match(findCookie(res, 'accessToken'), /^accessToken=;/);
+    await agent.get('/api/v1/auth/me').expect(401);
+  });
+
+  it('refreshes from the refresh cookie with the CSRF token', async () => {
+    const { agent, res: login, csrfToken } = await browserLogin();
+
+    let res = await agent.post('/api/v1/auth/refresh').send({}).expect(403);
+    assert.equal(res.body.code, 'CSRF_TOKEN_INVALID');
+
+    res = await agent.post('/api/v1/auth/refresh').set('X-CSRF-Token', csrfToken).send({}).expect(200);
+    assert.equal(res.body.accessToken, undefined);
+    assert.ok(res.body.csrfToken);
+    assert.notEqual(findCookie(res, 'refreshToken'), findCookie(login, 'refreshToken'));
+
+    await agent.get('/api/v1/auth/me').expect(200);
+  });
+
+  it('hands the CSRF token to frontends that cannot read its cookie', async () => {
+    // The page reloaded: only the cookies are left
+    const { agent, csrfToken: issued } = await browserLogin();
+
+    const res = await agent.get('/api/v1/auth/csrf').expect(200);
+    assert.equal(res.body.csrfToken, issued);
+    assert.equal(res.headers['cache-control'], 'no-store');
+
+    await agent.post('/api/v1/auth/refresh').set('X-CSRF-Token', res.body.csrfToken).send({}).expect(200);
+  });
+
+  it('issues a CSRF token when there is none', async () => {
+    const res = await request(cookieApp).get('/api/v1/auth/csrf').expect(200);
+
+    assert.ok(findCookie(res, 'csrfToken').startsWith(`csrfToken=${res.body.csrfToken};`));
+  });
+
+  it('keeps bearer tokens available for mobile clients', async () => {
+    const { email, password } = await createUser({ app: cookieApp });
+
+    const res = await request(cookieApp)
+      .post('/api/v1/auth/login')
+      .set('X-Token-Transport', 'bearer')
+      .send({ email, password })
+      .expect(200);
+
+    assert.ok(res.body.accessToken);
+    assert.equal(findCookie(res, 'accessToken'), undefined);
+
+    // No CSRF token needed without cookies
+    await request(cookieApp).post('/api/v1/auth/logout').set(authHeader(res.body.accessToken)).send({}).expect(200);
+  });
+});
+
+describe('bearer transport', () => {
+  it('ignores token cookies', async () => {
+    const { accessToken } = await createUser();
+
+    const res = await request(app).get('/api/v1/auth/me').set('Cookie', `accessToken=${accessToken}`).expect(401);
+
+    assert.equal(res.body.code, 'NO_TOKEN');
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request } = require('./helpers');
+const { listRoutes } = require('../src/utils/routes');
+const { operations } = require('../src/docs/openapi');
+
+const routeKeys = listRoutes(app).map(({ method, path }) => `${method} ${path}`);
+
+describe('OpenAPI document', () => {
+  it('documents every route', () => {
+    const undocumented = routeKeys.filter(key => !operations[key]);
+
+    assert.deepEqual(undocumented, [], 'add these routes to src/docs/openapi.js');
+  });
+
+  it('documents no route that does not exist', () => {
+    const stale = Object.keys(operations).filter(key => !routeKeys.includes(key));
+
+    assert.deepEqual(stale, []);
+  });
+
+  it('is served as JSON', async () => {
+    const res = await request(app).get('/api/v1/docs/openapi.json').expect(200);
+
+    assert.equal(res.body.openapi, '3.0.3');
+    assert.deepEqual(res.body.paths['/api/v1/auth/logout'].post.security, [{ bearerAuth: [] }, { cookieAuth: [] }]);
+    assert.deepEqual(
+      res.body.paths['/api/v1/auth/register'].post.requestBody.content['application/json'].schema.required,
+      ['email', 'password']
+    );
+    assert.deepEqual(res.body.paths['/api/v1/admin/users/{id}'].get.parameters[0], {
+      name: 'id',
+      in: 'path',
+      required: true,
+      schema: { type: 'integer', minimum: 1, title: 'User id' }
+    });
+  });
+
+  it('is rendered at /api/v1/docs', async () => {
+    const res = await request(app).get('/api/v1/docs/').expect(200);
+
+    assert.match(res.headers['content-type'], /^text\/html/);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { app, request, createUser, authHeader } = require('./helpers');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { ValidationError } = require('../src/utils/errors');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, isLevelEnabled: () => false };
+
+// A bare app whose only route fails with `error`
+const failingApp = (error, options = {}) => {
+  const failing = express();
+  failing.get('/fail', (req, res, next) => next(error));
+  failing.use(errorHandler({ logger: silentLogger, ...options }));
+  return failing;
+};
+
+describe('error responses', () => {
+  it('carry a stable code for validation failures', async () => {
+    const res = await request(app).post('/api/auth/register').send({ email: 'not-an-email' }).expect(400);
+
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+    assert.ok(res.body.errors.length > 0);
+  });
+
+  it('reject malformed JSON with 400 INVALID_JSON', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":')
+      .expect(400);
+
+    assert.equal(res.body.code, 'INVALID_JSON');
+  });
+
+  it('reject disallowed CORS origins with 403 instead of 500', async () => {
+    const res = await request(app).get('/api/health').set('Origin', 'https://evil.example').expect(403);
+
+    assert.equal(res.body.code, 'CORS_ORIGIN_NOT_ALLOWED');
+  });
+
+  it('answer unknown endpoints with ENDPOINT_NOT_FOUND', async () => {
+    const res = await request(app).get('/api/nope').expect(404);
+
+    assert.equal(res.body.code, 'ENDPOINT_NOT_FOUND');
+    assert.equal(res.body.path, '/api/nope');
+  });
+
+  it('answer missing roles with FORBIDDEN', async () => {
+    const { accessToken } = await createUser();
+
+    const res = await request(app).get('/api/admin/users').set(authHeader(accessToken)).expect(403);
+
+    assert.equal(res.body.code, 'FORBIDDEN');
+  });
+
+  it('hide unexpected errors behind a generic 500', async () => {
+    const res = await request(failingApp(new Error('db password is hunter2'))).get('/fail').expect(500);
+
+    assert.equal(res.body.code, 'INTERNAL_ERROR');
+    assert.equal(res.body.message, 'Internal server error');
+    assert.equal(res.body.error, undefined);
+    assert.equal(res.body.stack, undefined);
+  });
+
+  it('include the original message of unexpected errors in development', async () => {
+    const res = await request(failingApp(new Error('boom'), { isDev: true })).get('/fail').expect(500);
+
+    assert.equal(res.body.error, 'boom');
+  });
+});
+
+describe('problem+json', () => {
+  it('is returned when the client asks for it', async () => {
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Accept', 'application/problem+json')
+      .set('X-Request-Id', 'trace-7807')
+      .expect(401);
+
+    assert.match(res.headers['content-type'], /^application\/problem\+json/);
+    assert.deepEqual(res.body, {
+      type: 'about:blank',
+      title: 'Unauthorized',
+      status: 401,
+      detail: 'Access token required',
+      instance: '/api/auth/me',
+      code: 'NO_TOKEN',
+      requestId: 'trace-7807'
+    });
+  });
+
+  it('lists field errors as an extension member', async () => {
+    const error = new ValidationError('Validation failed', [{ field: 'email', message: 'Email is required' }]);
+
+    const res = await request(failingApp(error))
+      .get('/fail')
+      .set('Accept', 'application/problem+json')
+      .expect(400);
+
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(res.body.errors, [{ field: 'email', message: 'Email is required' }]);
+  });
+
+  it('is not used for plain JSON clients', async () => {
+    const res = await request(app).get('/api/auth/me').set('Accept', 'application/json').expect(401);
+
+    assert.match(res.headers['content-type'], /^application\/json/);
+    assert.equal(res.body.success, false);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, createUser } = require('./helpers');
+const { HealthService } = require('../src/services/HealthService');
+const { version } = require('../package.json');
+
+// A stand-in for ./db whose pool answers queries with `query`
+const createFakeDb = (query) => ({
+  pool: {
+    query,
+    connect: async () => ({ query, release() {} })
+  }
+});
+
+const postgresConfig = { dataStore: 'postgres', rateLimitStore: 'memory' };
+
+describe('liveness', () => {
+  it('reports the package version on /api/health and /api/health/live', async () => {
+    for (const path of ['/api/health', '/api/health/live']) {
+      const res = await request(app).get(path).expect(200);
+
+      assert.equal(res.body.status, 'ok');
+      assert.equal(res.body.version, version);
+    }
+  });
+});
+
+describe('readiness', () => {
+  it('skips the database checks with the in-memory stores', async () => {
+    const res = await request(app).get('/api/health/ready').expect(200);
+
+    assert.equal(res.body.status, 'ready');
+    assert.deepEqual(res.body.checks, {
+      database: { status: 'skipped' },
+      migrations: { status: 'skipped' }
+    });
+  });
+
+  it('fails when Postgres is unreachable', async () => {
+    const db = createFakeDb(async () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+
+    const { ready, checks } = await new HealthService().readiness({ config: postgresConfig, db });
+
+    assert.equal(ready, false);
+    assert.equal(checks.database.status, 'failed');
+    assert.equal(checks.database.error, 'connect ECONNREFUSED');
+    assert.equal(checks.migrations.status, 'skipped');
+  });
+
+  it('fails while migrations are pending', async () => {
+    // Connected, but schema_migrations is empty
+    const db = createFakeDb(async () => ({ rows: [] }));
+
+    const { ready, checks } = await new HealthService().readiness({ config: postgresConfig, db });
+
+    assert.equal(ready, false);
+    assert.equal(checks.database.status, 'ok');
+    assert.equal(checks.migrations.status, 'failed');
+    assert.match(checks.migrations.error, /pending migration/);
+  });
+
+  it('reports a missing migrations table as pending without creating it', async () => {
+    const queries = [];
+    const db = createFakeDb(async (text) => {
+      queries.push(text);
+      return { rows: text.includes('to_regclass') ? [{ name: null }] : [] };
+    });
+
+    const { checks } = await new HealthService().readiness({ config: postgresConfig, db });
+
+    assert.equal(checks.migrations.status, 'failed');
+    assert.match(checks.migrations.error, /pending migration/);
+    assert.deepEqual(queries.filter(text => /CREATE|INSERT|ALTER/i.test(text)), []);
+  });
+
+  it('fails a check that does not answer in time', async () => {
+    const db = createFakeDb(() => new Promise(() => {}));
+
+    const { checks } = await new HealthService({ timeoutMs: 20 }).readiness({ config: postgresConfig, db });
+
+    assert.equal(checks.database.status, 'failed');
+    assert.equal(checks.database.error, 'Timed out after 20ms');
+  });
+});
+
+describe('GET /metrics', () => {
+  it('exposes request, login and refresh metrics in Prometheus format', async () => {
+    const { email, refreshToken } = await createUser();
+    await request(app).post('/api/v1/auth/login').send({ email, password: 'wrong-password' }).expect(401);
+    await request(app).post('/api/v1/auth/refresh').send({ refreshToken }).expect(200);
+
+    const res = await request(app).get('/metrics').expect(200);
+
+    assert.match(res.headers['content-type'], /^text\/plain/);
+    assert.match(res.text, /^http_requests_total\{method="POST",route="\/api\/v1\/auth\/login",status="401"\} 1$/m);
+    assert.match(res.text, /^http_request_duration_seconds_count\{method="POST",route="\/api\/v1\/auth\/register"\} 1$/m);
+    assert.match(res.text, /^auth_logins_total\{step="password",outcome="success"\} 1$/m);
+    assert.match(res.text, /^auth_logins_total\{step="password",outcome="failure"\} 1$/m);
+    assert.match(res.text, /^auth_token_refreshes_total\{outcome="success"\} 1$/m);
+    assert.match(res.text, /^pg_pool_connections_total \d+$/m);
+  });
+
+  it('requires METRICS_TOKEN when one is configured', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    try {
+      await request(app).get('/metrics').expect(401);
+      await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
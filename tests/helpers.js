@@ -0,0 +1,83 @@
+/**
+ * Shared setup for the integration tests.
+ * Builds the Express app in-process with createApp (no listen), backed by
+ * the in-memory data store, and captures outgoing mail.
+ */
+
+const jwt = require('jsonwebtoken');
+
+process.env.NODE_ENV = 'test';
+process.env.PORT = process.env.PORT || '4000';
+process.env.FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || 'http://localhost:3000';
+process.env.JWT_SECRET = 'test_jwt_secret';
+process.env.JWT_REFRESH_SECRET = 'test_jwt_refresh_secret';
+process.env.DATA_STORE = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+delete process.env.DISABLE_RATE_LIMIT;
+
+// Keep the test output readable
+console.log = () => {};
+console.table = () => {};
+
+const request = require('supertest');
+const { createApp } = require('../app');
+const { mailService } = require('../src/services/MailService');
+
+const app = createApp();
+
+// Every message "sent" during the tests, newest last
+const outbox = [];
+mailService.setTransport({
+  async send(message) {
+    outbox.push(message);
+    return { delivered: true };
+  }
+});
+
+let emailCounter = 0;
+
+// A fresh address per call so tests do not collide in the shared store
+const uniqueEmail = (prefix = 'user') => `${prefix}${++emailCounter}@example.com`;
+
+const authHeader = (accessToken) => ({ Authorization: `Bearer ${accessToken}` });
+
+// Register and log in a new account (in `target`, default the shared app),
+// returning its credentials and tokens
+const createUser = async ({ email = uniqueEmail(), password = 'secret123', app: target = app } = {}) => {
+  await request(target).post('/api/v1/auth/register').send({ email, password }).expect(201);
+  const res = await request(target).post('/api/v1/auth/login').send({ email, password }).expect(200);
+
+  return {
+    email,
+    password,
+    user: res.body.user,
+    accessToken: res.body.accessToken,
+    refreshToken: res.body.refreshToken
+  };
+};
+
+// Token parameter from the link in the latest mail to `to`
+const lastMailToken = (to) => {
+  const message = [...outbox].reverse().find(mail => mail.to === to);
+  if (!message) {
+    throw new Error(`No mail sent to ${to}`);
+  }
+  return decodeURIComponent(message.text.match(/token=(\S+)/)[1]);
+};
+
+// Re-sign an access token's claims so that it has already expired
+const expireToken = (accessToken) => {
+  const { iat, exp, ...claims } = jwt.decode(accessToken);
+  return jwt.sign({ ...claims, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+};
+
+module.exports = {
+  app,
+  request,
+  outbox,
+  uniqueEmail,
+  authHeader,
+  createUser,
+  lastMailToken,
+  expireToken
+};
@@ -0,0 +1,184 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { app, request, createUser, authHeader } = require('./helpers');
+const configManager = require('../config/config-manager');
+const { createApp } = require('../app');
+const { KeyService } = require('../src/services/KeyService');
+
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+
+// Write a new key pair as PEM files, returning their paths
+const writeKeyPair = (name, type, options) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  const files = { private: path.join(keyDir, `${name}.pem`), public: path.join(keyDir, `${name}.pub.pem`) };
+  fs.writeFileSync(files.private, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  fs.writeFileSync(files.public, publicKey.export({ type: 'spki', format: 'pem' }));
+  return files;
+};
+
+const rsaOld = writeKeyPair('rsa-old', 'rsa', { modulusLength: 2048 });
+const rsaNew = writeKeyPair('rsa-new', 'rsa', { modulusLength: 2048 });
+const ec = writeKeyPair('ec', 'ec', { namedCurve: 'prime256v1' });
+
+const jwtConfig = (overrides) => ({ ...configManager.getJwtConfig(), ...overrides });
+
+after(() => {
+  fs.rmSync(keyDir, { recursive: true, force: true });
+});
+
+describe('access token claims', () => {
+  it('carries iss, aud and jti', async () => {
+    const { accessToken } = await createUser();
+
+    const claims = jwt.decode(accessToken);
+    assert.equal(claims.iss, 'auth-backend');
+    assert.equal(claims.aud, 'auth-backend');
+    assert.match(claims.jti, /^[0-9a-f-]{36}$/);
+  });
+
+  it('rejects tokens for another audience or without a jti', async () => {
+    const { accessToken } = await createUser();
+    const { iat, exp, ...claims } = jwt.decode(accessToken);
+
+    for (const token of [
+      jwt.sign({ ...claims, aud: 'another-service' }, process.env.JWT_SECRET, { expiresIn: '5m' }),
+      jwt.sign({ ...claims, jti: undefined }, process.env.JWT_SECRET, { expiresIn: '5m' })
+    ]) {
+      const res = await request(app).get('/api/v1/auth/me').set(authHeader(token)).expect(401);
+      assert.equal(res.body.code, 'INVALID_TOKEN');
+    }
+  });
+
+  it('publishes no keys for HS256', async () => {
+    const res = await request(app).get('/.well-known/jwks.json').expect(200);
+
+    assert.deepEqual(res.body, { keys: [] });
+  });
+});
+
+describe('KeyService', () => {
+  it('signs with the first key and keeps verifying with the rotated ones', () => {
+    const original = new KeyService(jwtConfig({ algorithm: 'RS256', signingKeys: [{ kid: 'old', path: rsaOld.private }] }));
+    const oldToken = original.sign({ userId: 1 }, { expiresIn: '5m' });
+
+    const rotated = new KeyService(jwtConfig({
+      algorithm: 'RS256',
+      signingKeys: [{ kid: 'new', path: rsaNew.private }],
+      verificationKeys: [{ kid: 'old', path: rsaOld.public }]
+    }));
+    const newToken = rotated.sign({ userId: 1 }, { expiresIn: '5m' });
+
+    assert.equal(jwt.decode(newToken, { complete: true }).header.kid, 'new');
+    assert.equal(rotated.verify(oldToken).userId, 1);
+    assert.equal(rotated.verify(newToken).userId, 1);
+
+    const retired = new KeyService(jwtConfig({ algorithm: 'RS256', signingKeys: [{ kid: 'new', path: rsaNew.private }] }));
+    assert.throws(() => retired.verify(oldToken), { message: 'Unknown signing key' });
+  });
+
+  it('publishes public keys that verify its tokens without any secret', () => {
+    const service = new KeyService(jwtConfig({ algorithm: 'ES256', signingKeys: [{ kid: 'ec-1', path: ec.private }] }));
+    const token = service.sign({ userId: 7 }, { expiresIn: '5m' });
+
+    const { keys } = service.getJwks();
+    assert.equal(keys.length, 1);
+    assert.equal(keys[0].kid, 'ec-1');
+    assert.equal(keys[0].alg, 'ES256');
+    assert.equal(keys[0].d, undefined, 'private key material leaked');
+
+    const publicKey = crypto.createPublicKey({ key: keys[0], format: 'jwk' });
+    const claims = jwt.verify(token, publicKey, { algorithms: ['ES256'], audience: 'auth-backend' });
+    assert.equal(claims.userId, 7);
+  });
+
+  it('refuses keys that do not match the algorithm', () => {
+    assert.throws(
+      () => new KeyService(jwtConfig({ algorithm: 'ES256', signingKeys: [{ kid: 'rsa', path: rsaOld.private }] })),
+      /cannot be used with ES256/
+    );
+    assert.throws(
+      () => new KeyService(jwtConfig({ algorithm: 'RS256', signingKeys: [] })),
+      /needs at least one signing key/
+    );
+  });
+
+  it('does not accept an HS256 token signed with the public key', () => {
+    const service = new KeyService(jwtConfig({ algorithm: 'RS256', signingKeys: [{ kid: 'old', path: rsaOld.private }] }));
+    const token = service.sign({ userId: 1 }, { expiresIn: '5m' });
+    const { header, payload } = jwt.decode(token, { complete: true });
+    const forged = jwt.sign(payload, fs.readFileSync(rsaOld.public, 'utf8'), { header: { ...header, alg: 'HS256' } });
+
+    assert.throws(() => service.verify(forged), jwt.JsonWebTokenError);
+  });
+});
+
+describe('RS256 access tokens', () => {
+  let rsaApp;
+
+  before(() => {
+    rsaApp = createApp({
+      config: {
+        ...configManager.getAppConfig(),
+        jwt: jwtConfig({ algorithm: 'RS256', signingKeys: [{ kid: 'rsa-1', path: rsaNew.private }] })
+      }
+    });
+  });
+
+  it('logs in with tokens other services can verify from the JWKS', async () => {
+    const { accessToken } = await createUser({ app: rsaApp });
+    const { header } = jwt.decode(accessToken, { complete: true });
+    assert.equal(header.alg, 'RS256');
+    assert.equal(header.kid, 'rsa-1');
+
+    await request(rsaApp).get('/api/v1/auth/me').set(authHeader(accessToken)).expect(200);
+
+    const res = await request(rsaApp).get('/.well-known/jwks.json').expect(200);
+    const jwk = res.body.keys.find(key => key.kid === header.kid);
+    const claims = jwt.verify(accessToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+      algorithms: ['RS256'],
+      issuer: 'auth-backend',
+      audience: 'auth-backend'
+    });
+    assert.ok(claims.jti);
+  });
+
+  it('leaves the keys of other apps alone', async () => {
+    const { accessToken } = await createUser();
+
+    assert.equal(jwt.decode(accessToken, { complete: true }).header.alg, 'HS256');
+    await request(rsaApp).get('/api/v1/auth/me').set(authHeader(accessToken)).expect(401);
+    assert.deepEqual((await request(app).get('/.well-known/jwks.json').expect(200)).body, { keys: [] });
+  });
+});
+
+describe('production secrets', () => {
+  const saved = { ...process.env };
+
+  after(() => {
+    process.env.NODE_ENV = saved.NODE_ENV;
+    process.env.JWT_SECRET = saved.JWT_SECRET;
+    process.env.JWT_REFRESH_SECRET = saved.JWT_REFRESH_SECRET;
+  });
+
+  it('refuses default secrets in production', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.JWT_SECRET = 'change_me';
+    delete process.env.JWT_REFRESH_SECRET;
+
+    assert.deepEqual(configManager.findInsecureSecrets(), ['JWT_SECRET', 'JWT_REFRESH_SECRET']);
+    assert.equal(configManager.validateConfig(), false);
+  });
+
+  it('accepts real secrets in production', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.JWT_SECRET = crypto.randomBytes(32).toString('hex');
+    process.env.JWT_REFRESH_SECRET = crypto.randomBytes(32).toString('hex');
+
+    assert.equal(configManager.validateConfig(), true);
+  });
+});
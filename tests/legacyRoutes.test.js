@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, createUser, authHeader } = require('./helpers');
+
+describe('/api/v1', () => {
+  it('serves the API without deprecation headers', async () => {
+    const { accessToken, email } = await createUser();
+
+    const res = await request(app).get('/api/v1/auth/me').set(authHeader(accessToken)).expect(200);
+
+    assert.equal(res.body.user.email, email);
+    assert.equal(res.headers.deprecation, undefined);
+    assert.equal(res.headers.sunset, undefined);
+  });
+
+  it('answers unknown endpoints with 404 and no deprecation headers', async () => {
+    const res = await request(app).get('/api/v1/nope').expect(404);
+
+    assert.equal(res.body.code, 'ENDPOINT_NOT_FOUND');
+    assert.equal(res.headers.deprecation, undefined);
+  });
+});
+
+describe('legacy routes', () => {
+  for (const path of ['/api/auth/login', '/api/login', '/user/login']) {
+    it(`serves ${path} with Deprecation, Sunset and successor Link`, async () => {
+      const { email, password } = await createUser();
+
+      const res = await request(app).post(path).send({ email, password }).expect(200);
+
+      assert.ok(res.body.accessToken);
+      assert.match(res.headers.deprecation, /^@\d+$/);
+      assert.ok(!Number.isNaN(Date.parse(res.headers.sunset)));
+      assert.equal(res.headers.link, '</api/v1/auth/login>; rel="successor-version"');
+    });
+  }
+
+  it('keeps the query string and maps other sections', async () => {
+    const res = await request(app).get('/api/health/live?verbose=1').expect(200);
+
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.headers.link, '</api/v1/health/live>; rel="successor-version"');
+  });
+
+  it('shares rate limit counters with the canonical route', async () => {
+    const send = (path) => request(app).post(path).send({ email: 'nobody@example.com' }).expect(200);
+
+    const first = await send('/api/v1/auth/forgot-password');
+    const second = await send('/user/forgot-password');
+
+    assert.equal(Number(second.headers['ratelimit-remaining']), Number(first.headers['ratelimit-remaining']) - 1);
+  });
+
+  it('answers unknown legacy endpoints with 404', async () => {
+    const res = await request(app).get('/user/nope').expect(404);
+
+    assert.equal(res.body.path, '/user/nope');
+  });
+
+  it('counts usage per mount and labels requests with the canonical route', async () => {
+    await request(app).get('/user/health').expect(200);
+
+    const metrics = await request(app).get('/metrics').expect(200);
+    assert.match(metrics.text, /^http_requests_total\{method="GET",route="\/api\/v1\/health",status="200"\} \d+$/m);
+    assert.doesNotMatch(metrics.text, /route="\/user/);
+    assert.match(metrics.text, /^legacy_route_requests_total\{mount="\/user"\} \d+$/m);
+    assert.match(metrics.text, /^legacy_route_requests_total\{mount="\/api"\} \d+$/m);
+  });
+});
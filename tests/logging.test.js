@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request } = require('./helpers');
+const { createLogger, redact } = require('../src/utils/logger');
+const { runWithRequestContext } = require('../src/utils/requestContext');
+const { ConsoleTransport } = require('../src/services/MailService');
+
+// Run fn with console[method] captured, returning the written lines
+const capture = (method, fn) => {
+  const original = console[method];
+  const lines = [];
+  console[method] = (line) => lines.push(line);
+  try {
+    fn();
+  } finally {
+    console[method] = original;
+  }
+  return lines;
+};
+
+describe('X-Request-Id', () => {
+  it('is generated when the client sends none', async () => {
+    const res = await request(app).get('/api/health').expect(200);
+
+    assert.match(res.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  });
+
+  it('reuses a valid upstream id', async () => {
+    const res = await request(app).get('/api/health').set('X-Request-Id', 'gateway-42').expect(200);
+
+    assert.equal(res.headers['x-request-id'], 'gateway-42');
+  });
+
+  it('replaces an id that is unsafe to log', async () => {
+    const res = await request(app).get('/api/health').set('X-Request-Id', 'bad id "forged"').expect(200);
+
+    assert.match(res.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  });
+
+  it('is echoed in error bodies', async () => {
+    const res = await request(app).get('/api/auth/me').set('X-Request-Id', 'trace-1').expect(401);
+
+    assert.equal(res.body.code, 'NO_TOKEN');
+    assert.equal(res.body.requestId, 'trace-1');
+  });
+
+  it('is left out of successful bodies', async () => {
+    const res = await request(app).get('/api/health').expect(200);
+
+    assert.equal(res.body.requestId, undefined);
+  });
+});
+
+describe('logger', () => {
+  it('writes JSON lines with the request id and redacted secrets', () => {
+    const logger = createLogger({ level: 'info', format: 'json' });
+
+    const [line] = capture('log', () => runWithRequestContext({ requestId: 'req-1' }, () => {
+      logger.info('Signed in', {
+        body: { email: 'a@example.com', password: 'secret123', refreshToken: 'abc' },
+        headers: { authorization: 'Bearer xyz' }
+      });
+    }));
+
+    const entry = JSON.parse(line);
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.msg, 'Signed in');
+    assert.equal(entry.requestId, 'req-1');
+    assert.deepEqual(entry.body, { email: 'a@example.com', password: '[REDACTED]', refreshToken: '[REDACTED]' });
+    assert.equal(entry.headers.authorization, '[REDACTED]');
+  });
+
+  it('drops lines below the configured level', () => {
+    const logger = createLogger({ level: 'warn', format: 'json' });
+
+    const lines = capture('log', () => {
+      logger.debug('noise');
+      logger.info('noise');
+    });
+
+    assert.deepEqual(lines, []);
+  });
+
+  it('serializes errors with their stack', () => {
+    const logger = createLogger({ level: 'info', format: 'json' });
+
+    const [line] = capture('error', () => logger.error('Boom', { error: new Error('broken') }));
+
+    const { error } = JSON.parse(line);
+    assert.equal(error.message, 'broken');
+    assert.match(error.stack, /^Error: broken/);
+  });
+});
+
+describe('redact', () => {
+  it('blanks credentials at any depth without touching the input', () => {
+    const input = { user: { email: 'a@example.com', totp_secret: 'S' }, code: '123456', items: [{ token: 't' }] };
+
+    assert.deepEqual(redact(input), {
+      user: { email: 'a@example.com', totp_secret: '[REDACTED]' },
+      code: '[REDACTED]',
+      items: [{ token: '[REDACTED]' }]
+    });
+    assert.equal(input.code, '123456');
+  });
+
+  it('matches whole words of the key, not substrings', () => {
+    const input = {
+      currentPassword: 'a', JWT_SECRET: 'b', 'x-csrf-token': 'c', 'set-cookie': 'd', codeVerifier: 'e', recovery_codes: ['f'],
+      tokenTransport: 'cookie', revokedTokens: 3, passwordResetExpiryMinutes: 30, bypassCache: true, statusCode: 401
+    };
+
+    assert.deepEqual(redact(input), {
+      currentPassword: '[REDACTED]',
+      JWT_SECRET: '[REDACTED]',
+      'x-csrf-token': '[REDACTED]',
+      'set-cookie': '[REDACTED]',
+      codeVerifier: '[REDACTED]',
+      recovery_codes: '[REDACTED]',
+      tokenTransport: 'cookie',
+      revokedTokens: 3,
+      passwordResetExpiryMinutes: 30,
+      bypassCache: true,
+      statusCode: 401
+    });
+  });
+});
+
+describe('console mail transport', () => {
+  const message = { from: 'no-reply@localhost', to: 'a@example.com', subject: 'Reset', text: 'Open /reset?token=live-token' };
+
+  it('prints the message text for development', () => {
+    const lines = capture('log', () => new ConsoleTransport({ includeText: true }).send(message));
+
+    assert.match(lines.join('\n'), /live-token/);
+  });
+
+  it('leaves links out of the log in production', () => {
+    const lines = capture('log', () => new ConsoleTransport({ includeText: false }).send(message));
+
+    assert.match(lines.join('\n'), /a@example\.com/);
+    assert.doesNotMatch(lines.join('\n'), /live-token/);
+  });
+});
@@ -0,0 +1,282 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { request, createUser, authHeader, uniqueEmail } = require('./helpers');
+const configManager = require('../config/config-manager');
+const { createApp } = require('../app');
+const User = require('../src/models/User');
+const UserIdentity = require('../src/models/UserIdentity');
+const { runInAppScope } = require('../src/utils/appScope');
+
+// Minimal OAuth2 provider: codes are issued by authorize() instead of a
+// consent page; the token endpoint checks the client and the PKCE verifier
+const createMockIdp = () => {
+  const codes = new Map();
+  const accessTokens = new Map();
+  const idp = express();
+  idp.use(express.urlencoded({ extended: false }));
+
+  idp.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (!grant || req.body.client_id !== 'test-client' || req.body.client_secret !== 'test-secret' ||
+        req.body.redirect_uri !== grant.redirectUri || challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.profile);
+    res.json({ access_token: accessToken, token_type: 'Bearer' });
+  });
+
+  const profileOf = (req) => accessTokens.get((req.get('Authorization') || '').replace('Bearer ', ''));
+
+  idp.get('/userinfo', (req, res) => {
+    const profile = profileOf(req);
+    return profile ? res.json(profile) : res.status(401).json({ error: 'invalid_token' });
+  });
+
+  // GitHub-style endpoints
+  idp.get('/user', (req, res) => {
+    const profile = profileOf(req);
+    return profile ? res.json({ id: Number(profile.sub), login: 'octocat', email: null }) : res.status(401).end();
+  });
+  idp.get('/user/emails', (req, res) => {
+    const profile = profileOf(req);
+    return profile
+      ? res.json([{ email: profile.email, primary: true, verified: profile.email_verified }])
+      : res.status(401).end();
+  });
+
+  // "The user consented": a code for the given profile, returning the callback URL
+  const authorize = (location, profile) => {
+    const url = new URL(location);
+    const code = crypto.randomBytes(8).toString('hex');
+    codes.set(code, {
+      profile,
+      redirectUri: url.searchParams.get('redirect_uri'),
+      codeChallenge: url.searchParams.get('code_challenge')
+    });
+
+    const callback = new URL(url.searchParams.get('redirect_uri'));
+    return `${callback.pathname}?code=${code}&state=${url.searchParams.get('state')}`;
+  };
+
+  return { idp, authorize };
+};
+
+describe('OAuth login', () => {
+  const mock = createMockIdp();
+  const frontendRedirectUrl = 'http://localhost:3000/oauth/callback';
+  let server;
+  let app;
+  let cookieApp;
+
+  before(async () => {
+    server = await new Promise(resolve => {
+      const listening = mock.idp.listen(0, () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const provider = (name, settings) => ({
+      name,
+      clientId: 'test-client',
+      clientSecret: 'test-secret',
+      authorizationUrl: `${base}/authorize`,
+      tokenUrl: `${base}/token`,
+      scope: 'openid email',
+      ...settings
+    });
+
+    const config = {
+      ...configManager.getAppConfig(),
+      oauth: {
+        redirectBaseUrl: 'http://localhost:4000',
+        frontendRedirectUrl,
+        providers: {
+          mock: provider('mock', { userInfoUrl: `${base}/userinfo`, profile: 'oidc' }),
+          mockhub: provider('mockhub', { userInfoUrl: `${base}/user`, emailsUrl: `${base}/user/emails`, profile: 'github' })
+        }
+      }
+    };
+    app = createApp({ config });
+    cookieApp = createApp({ config: { ...config, tokenTransport: 'cookie' } });
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  // Read the test app's store
+  const inApp = (fn) => runInAppScope(app.locals.scope, fn);
+
+  // Query string the callback sent the browser to the frontend with
+  const frontendQuery = (res) => {
+    const location = new URL(res.headers.location);
+    assert.equal(`${location.origin}${location.pathname}`, frontendRedirectUrl);
+    return location.searchParams;
+  };
+
+  // Run the flow in one browser up to the redirect to the frontend
+  const authorize = async (profile, { provider = 'mock', agent = request.agent(app) } = {}) => {
+    const start = await agent.get(`/api/v1/auth/oauth/${provider}/start`).expect(302);
+    const res = await agent.get(mock.authorize(start.headers.location, profile)).expect(302);
+    return { res, query: frontendQuery(res) };
+  };
+
+  // Sign in and exchange the code for tokens, as the frontend would
+  const signIn = async (profile, options) => {
+    const { query } = await authorize(profile, options);
+    assert.equal(query.get('error'), null);
+    return request(app).post('/api/v1/auth/oauth/exchange').send({ code: query.get('code') }).expect(200);
+  };
+
+  // Error code the frontend gets for a failed sign-in
+  const signInError = async (profile) => (await authorize(profile)).query.get('error');
+
+  let subjects = 1000;
+  const newProfile = (overrides = {}) => ({
+    sub: String(++subjects),
+    email: uniqueEmail('social'),
+    email_verified: true,
+    ...overrides
+  });
+
+  it('redirects to the provider with state and a PKCE challenge', async () => {
+    const res = await request(app).get('/api/v1/auth/oauth/mock/start').expect(302);
+
+    const location = new URL(res.headers.location);
+    assert.equal(location.pathname, '/authorize');
+    assert.equal(location.searchParams.get('response_type'), 'code');
+    assert.equal(location.searchParams.get('client_id'), 'test-client');
+    assert.equal(location.searchParams.get('redirect_uri'), 'http://localhost:4000/api/v1/auth/oauth/mock/callback');
+    assert.equal(location.searchParams.get('code_challenge_method'), 'S256');
+    assert.match(location.searchParams.get('code_challenge'), /^[\w-]{43}$/);
+    assert.ok(location.searchParams.get('state'));
+
+    const cookie = res.headers['set-cookie'].find(value => value.startsWith('oauthFlow='));
+    assert.match(cookie, /Path=\/api\/v1\/auth\/oauth;.*HttpOnly/);
+    assert.doesNotMatch(cookie, new RegExp(location.searchParams.get('state')), 'state stored in the clear');
+  });
+
+  it('creates a verified account on first sign-in and reuses it afterwards', async () => {
+    const profile = newProfile();
+
+    const first = await signIn(profile);
+    assert.ok(first.body.accessToken);
+    assert.ok(first.body.refreshToken);
+    assert.equal(first.body.user.email, profile.email);
+    assert.equal(first.body.user.email_verified, true);
+
+    const me = await request(app).get('/api/v1/auth/me').set(authHeader(first.body.accessToken)).expect(200);
+    assert.equal(me.body.user.id, first.body.user.id);
+
+    const second = await signIn(profile);
+    assert.equal(second.body.user.id, first.body.user.id);
+
+    // No password to log in with
+    await request(app).post('/api/v1/auth/login').send({ email: profile.email, password: 'anything' }).expect(401);
+  });
+
+  it('hands the frontend a code that works once', async () => {
+    const { res, query } = await authorize(newProfile());
+
+    assert.ok(query.get('code'));
+    assert.doesNotMatch(res.headers.location, /accessToken|refreshToken/);
+
+    await request(app).post('/api/v1/auth/oauth/exchange').send({ code: query.get('code') }).expect(200);
+    const replay = await request(app).post('/api/v1/auth/oauth/exchange').send({ code: query.get('code') }).expect(401);
+    assert.equal(replay.body.code, 'OAUTH_CODE_INVALID');
+  });
+
+  it('signs in with cookies in cookie mode', async () => {
+    const agent = request.agent(cookieApp);
+
+    const { res, query } = await authorize(newProfile(), { agent });
+
+    assert.equal([...query.keys()].length, 0);
+    assert.ok(res.headers['set-cookie'].some(value => value.startsWith('accessToken=')));
+    await agent.get('/api/v1/auth/me').expect(200);
+  });
+
+  it('links a provider identity to an existing verified account', async () => {
+    const { email, password, user } = await createUser({ app });
+    await inApp(async () => (await User.findById(user.id)).update({ email_verified_at: new Date() }));
+
+    const res = await signIn(newProfile({ email }));
+
+    assert.equal(res.body.user.id, user.id);
+    assert.equal((await inApp(() => UserIdentity.findByUserId(user.id))).length, 1);
+    await request(app).post('/api/v1/auth/login').send({ email, password }).expect(200);
+  });
+
+  it('does not link a disabled account', async () => {
+    const { email, user } = await createUser({ app });
+    await inApp(async () => (await User.findById(user.id)).update({ email_verified_at: new Date(), disabled_at: new Date() }));
+
+    assert.equal(await signInError(newProfile({ email })), 'ACCOUNT_DISABLED');
+    assert.deepEqual(await inApp(() => UserIdentity.findByUserId(user.id)), []);
+  });
+
+  it('does not link an existing account whose email is unverified', async () => {
+    const { email, user } = await createUser({ app });
+
+    assert.equal(await signInError(newProfile({ email })), 'OAUTH_ACCOUNT_EXISTS');
+    assert.deepEqual(await inApp(() => UserIdentity.findByUserId(user.id)), []);
+  });
+
+  it('requires an email address verified by the provider', async () => {
+    assert.equal(await signInError(newProfile({ email_verified: false })), 'OAUTH_EMAIL_UNVERIFIED');
+  });
+
+  it('reads verified emails from GitHub-style providers', async () => {
+    const profile = newProfile();
+
+    const res = await signIn(profile, { provider: 'mockhub' });
+
+    assert.equal(res.body.user.email, profile.email);
+    const identity = await inApp(() => UserIdentity.findByProviderSubject('mockhub', profile.sub));
+    assert.equal(identity.user_id, res.body.user.id);
+  });
+
+  it('rejects callbacks that were not started in the same browser', async () => {
+    const start = await request(app).get('/api/v1/auth/oauth/mock/start').expect(302);
+
+    // Another browser (no flow cookie) follows the same callback link
+    const res = await request(app).get(mock.authorize(start.headers.location, newProfile())).expect(302);
+
+    assert.equal(frontendQuery(res).get('error'), 'OAUTH_INVALID_STATE');
+  });
+
+  it('rejects a tampered state', async () => {
+    const agent = request.agent(app);
+    const start = await agent.get('/api/v1/auth/oauth/mock/start').expect(302);
+    const callback = mock.authorize(start.headers.location, newProfile()).replace(/state=\w+/, 'state=forged');
+
+    const res = await agent.get(callback).expect(302);
+
+    assert.equal(frontendQuery(res).get('error'), 'OAUTH_INVALID_STATE');
+  });
+
+  it('fails when the provider rejects the code', async () => {
+    const agent = request.agent(app);
+    const start = await agent.get('/api/v1/auth/oauth/mock/start').expect(302);
+    const state = new URL(start.headers.location).searchParams.get('state');
+
+    const res = await agent.get(`/api/v1/auth/oauth/mock/callback?code=unknown&state=${state}`).expect(302);
+
+    assert.equal(frontendQuery(res).get('error'), 'OAUTH_FAILED');
+  });
+
+  it('reports a sign-in refused at the provider', async () => {
+    const res = await request(app).get('/api/v1/auth/oauth/mock/callback?error=access_denied').expect(302);
+
+    assert.equal(frontendQuery(res).get('error'), 'OAUTH_DENIED');
+  });
+
+  it('answers 404 for providers that are not configured', async () => {
+    const res = await request(app).get('/api/v1/auth/oauth/myspace/start').expect(404);
+
+    assert.equal(res.body.code, 'OAUTH_PROVIDER_NOT_FOUND');
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, createUser } = require('./helpers');
+const { RateLimiter } = require('../src/middleware/rateLimit');
+const { MemoryRateLimitStore } = require('../src/services/RateLimitStore');
+
+describe('rate limiting', () => {
+  it('answers 429 with Retry-After once a policy is exhausted', async () => {
+    // The 2FA login step allows 100 attempts per window outside production
+    for (let i = 0; i < 100; i++) {
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'garbage', code: '123456' });
+      assert.notEqual(res.status, 429, `request ${i + 1} was limited`);
+    }
+
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: 'garbage', code: '123456' })
+      .expect(429);
+
+    assert.ok(Number(res.headers['retry-after']) > 0);
+    assert.equal(res.headers['ratelimit-remaining'], '0');
+
+    const metrics = await request(app).get('/metrics').expect(200);
+    assert.match(metrics.text, /^rate_limit_rejections_total\{policy="loginTwoFactor"\} 1$/m);
+  });
+});
+
+describe('refresh policy key', () => {
+  const limiter = new RateLimiter();
+
+  it('identifies the user by the refresh token in the body or the refresh cookie', async () => {
+    const { user, refreshToken } = await createUser();
+
+    assert.equal(limiter.getKeyPart('user', { ip: '10.0.0.1', body: { refreshToken } }), `user:${user.id}`);
+    assert.equal(limiter.getKeyPart('user', { ip: '10.0.0.1', body: {}, cookies: { refreshToken } }), `user:${user.id}`);
+  });
+
+  it('falls back to the IP for a forged token', () => {
+    const key = limiter.getKeyPart('user', { ip: '10.0.0.1', body: {}, cookies: { refreshToken: 'forged' } });
+
+    assert.equal(key, 'ip:10.0.0.1');
+  });
+});
+
+describe('MemoryRateLimitStore', () => {
+  it('evicts the oldest windows beyond maxKeys', async () => {
+    const store = new MemoryRateLimitStore({ maxKeys: 3 });
+
+    for (const key of ['a', 'b', 'c', 'd', 'e']) {
+      await store.hit(key, 60000);
+    }
+
+    assert.deepEqual([...store.windows.keys()], ['c', 'd', 'e']);
+    assert.equal((await store.hit('e', 60000)).count, 2);
+  });
+
+  it('drops expired windows every pruneEvery hits', async () => {
+    const store = new MemoryRateLimitStore({ pruneEvery: 3 });
+
+    await store.hit('short', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.hit('long', 60000);
+    assert.equal(store.windows.size, 2);
+
+    await store.hit('long', 60000);
+    assert.deepEqual([...store.windows.keys()], ['long']);
+  });
+
+  it('restarts a running window with a new length', async () => {
+    const store = new MemoryRateLimitStore();
+    await store.hit('key', 60000);
+    await store.hit('key', 60000);
+
+    const restarted = await store.restart('key', 1000);
+
+    assert.equal(restarted.count, 1);
+    assert.ok(restarted.resetAt <= Date.now() + 1000);
+    assert.deepEqual(await store.hit('key', 60000), { count: 2, resetAt: restarted.resetAt });
+  });
+});
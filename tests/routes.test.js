@@ -0,0 +1,243 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, uniqueEmail, authHeader, createUser, lastMailToken } = require('./helpers');
+const { roleService } = require('../src/services/RoleService');
+const { runInAppScope } = require('../src/utils/appScope');
+
+// Grant admin to the given emails in the shared app's store
+const seedAdmins = (emails) => runInAppScope(app.locals.scope, () => roleService.seedAdminsFromConfig(emails));
+
+// A logged-in account holding the admin role
+const createAdmin = async () => {
+  const admin = await createUser({ email: uniqueEmail('admin') });
+  await request(app).post('/api/auth/verify-email').send({ token: lastMailToken(admin.email) }).expect(200);
+  await seedAdmins([admin.email]);
+
+  // Roles are embedded in the access token, so log in again to pick it up
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email: admin.email, password: admin.password })
+    .expect(200);
+
+  return { ...admin, accessToken: res.body.accessToken };
+};
+
+describe('GET /api/health', () => {
+  it('reports the service status', async () => {
+    const res = await request(app).get('/api/health').expect(200);
+
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.environment, 'test');
+  });
+});
+
+describe('GET /api/protected', () => {
+  it('requires a token', async () => {
+    const res = await request(app).get('/api/protected').expect(401);
+
+    assert.equal(res.body.code, 'NO_TOKEN');
+  });
+
+  it('returns the authenticated user', async () => {
+    const { accessToken, email } = await createUser();
+
+    const res = await request(app).get('/api/protected').set(authHeader(accessToken)).expect(200);
+
+    assert.equal(res.body.user.email, email);
+  });
+});
+
+describe('GET /api/public', () => {
+  it('works anonymously', async () => {
+    const res = await request(app).get('/api/public').expect(200);
+
+    assert.equal(res.body.authenticated, false);
+    assert.equal(res.body.user, null);
+  });
+
+  it('recognises a logged-in user', async () => {
+    const { accessToken, email } = await createUser();
+
+    const res = await request(app).get('/api/public').set(authHeader(accessToken)).expect(200);
+
+    assert.equal(res.body.authenticated, true);
+    assert.equal(res.body.user.email, email);
+  });
+
+  it('ignores an invalid token', async () => {
+    const res = await request(app).get('/api/public').set(authHeader('garbage')).expect(200);
+
+    assert.equal(res.body.authenticated, false);
+  });
+});
+
+describe('legacy routes', () => {
+  it('serves the auth routes without the /auth prefix', async () => {
+    const email = uniqueEmail();
+    await request(app).post('/api/register').send({ email, password: 'secret123' }).expect(201);
+
+    const res = await request(app).post('/api/login').send({ email, password: 'secret123' }).expect(200);
+    await request(app).get('/api/me').set(authHeader(res.body.accessToken)).expect(200);
+  });
+});
+
+describe('unknown endpoints', () => {
+  it('return 404', async () => {
+    const res = await request(app).get('/api/does-not-exist').expect(404);
+
+    assert.equal(res.body.path, '/api/does-not-exist');
+  });
+});
+
+describe('admin routes', () => {
+  it('require a token', async () => {
+    const res = await request(app).get('/api/admin/users').expect(401);
+
+    assert.equal(res.body.code, 'NO_TOKEN');
+  });
+
+  it('are forbidden to regular users', async () => {
+    const { accessToken } = await createUser();
+
+    await request(app).get('/api/admin/users').set(authHeader(accessToken)).expect(403);
+  });
+
+  it('are not granted to bootstrap accounts with an unverified email', async () => {
+    const squatter = await createUser({ email: uniqueEmail('admin') });
+
+    const result = await seedAdmins([squatter.email]);
+    assert.deepEqual(result.unverified, [squatter.email]);
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: squatter.email, password: squatter.password })
+      .expect(200);
+    await request(app).get('/api/admin/users').set(authHeader(res.body.accessToken)).expect(403);
+  });
+
+  it('are granted to a bootstrap account when it verifies its email', async () => {
+    const owner = await createUser({ email: uniqueEmail('admin') });
+    const previous = process.env.ADMIN_EMAILS;
+    process.env.ADMIN_EMAILS = `someone@example.com, ${owner.email.toUpperCase()}`;
+
+    try {
+      await request(app).post('/api/auth/verify-email').send({ token: lastMailToken(owner.email) }).expect(200);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.ADMIN_EMAILS;
+      } else {
+        process.env.ADMIN_EMAILS = previous;
+      }
+    }
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: owner.email, password: owner.password })
+      .expect(200);
+    await request(app).get('/api/admin/users').set(authHeader(res.body.accessToken)).expect(200);
+  });
+
+  it('let an admin manage users', async () => {
+    const admin = await createAdmin();
+    const target = await createUser();
+
+    const list = await request(app)
+      .get(`/api/admin/users?search=${encodeURIComponent(target.email)}`)
+      .set(authHeader(admin.accessToken))
+      .expect(200);
+    assert.deepEqual(list.body.users.map(user => user.email), [target.email]);
+
+    const detail = await request(app)
+      .get(`/api/admin/users/${target.user.id}`)
+      .set(authHeader(admin.accessToken))
+      .expect(200);
+    assert.deepEqual(detail.body.user.roles, ['user']);
+
+    await request(app)
+      .post(`/api/admin/users/${target.user.id}/disable`)
+      .set(authHeader(admin.accessToken))
+      .expect(200);
+    await request(app).get('/api/auth/me').set(authHeader(target.accessToken)).expect(401);
+    const denied = await request(app)
+      .post('/api/auth/login')
+      .send({ email: target.email, password: target.password })
+      .expect(403);
+    assert.equal(denied.body.code, 'ACCOUNT_DISABLED');
+
+    await request(app)
+      .post(`/api/admin/users/${target.user.id}/enable`)
+      .set(authHeader(admin.accessToken))
+      .expect(200);
+
+    await request(app)
+      .post(`/api/admin/users/${target.user.id}/force-password-reset`)
+      .set(authHeader(admin.accessToken))
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/admin/users/${target.user.id}`)
+      .set(authHeader(admin.accessToken))
+      .expect(200);
+    await request(app)
+      .get(`/api/admin/users/${target.user.id}`)
+      .set(authHeader(admin.accessToken))
+      .expect(404);
+  });
+
+  it('expose the audit log', async () => {
+    const admin = await createAdmin();
+    const { user } = await createUser();
+
+    const res = await request(app)
+      .get(`/api/admin/events?userId=${user.id}&type=login`)
+      .set(authHeader(admin.accessToken))
+      .expect(200);
+
+    assert.equal(res.body.events.length, 1);
+    assert.equal(res.body.events[0].user_id, user.id);
+  });
+
+  it('validate listing filters', async () => {
+    const admin = await createAdmin();
+
+    const users = await request(app)
+      .get('/api/admin/users?sort=name&createdFrom=yesterday&limit=500')
+      .set(authHeader(admin.accessToken))
+      .expect(400);
+    assert.deepEqual(users.body.errors, [
+      { field: 'sort', message: 'Sort must be one of created_at, email, id' },
+      { field: 'createdFrom', message: 'Created from must be a valid ISO 8601 date' },
+      { field: 'limit', message: 'Limit must be between 1 and 100' }
+    ]);
+
+    const events = await request(app)
+      .get('/api/admin/events?from=2024-01-01&to=2099-01-01T00:00:00Z')
+      .set(authHeader(admin.accessToken))
+      .expect(200);
+    assert.equal(events.body.pagination.limit, 50);
+  });
+
+  it('include the whole day of a date-only upper bound', async () => {
+    const admin = await createAdmin();
+    const target = await createUser();
+    const today = new Date(target.user.created_at).toISOString().slice(0, 10);
+
+    const users = await request(app)
+      .get(`/api/admin/users?search=${encodeURIComponent(target.email)}&createdFrom=${today}&createdTo=${today}`)
+      .set(authHeader(admin.accessToken))
+      .expect(200);
+    assert.deepEqual(users.body.users.map(user => user.email), [target.email]);
+
+    const events = await request(app)
+      .get(`/api/admin/events?userId=${target.user.id}&type=register&from=${today}&to=${today}`)
+      .set(authHeader(admin.accessToken))
+      .expect(200);
+    assert.equal(events.body.events.length, 1);
+
+    const before = await request(app)
+      .get(`/api/admin/users?search=${encodeURIComponent(target.email)}&createdTo=2024-01-01`)
+      .set(authHeader(admin.accessToken))
+      .expect(200);
+    assert.deepEqual(before.body.users, []);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, createUser } = require('./helpers');
+const configManager = require('../config/config-manager');
+const { startServer } = require('../server');
+const { createApp } = require('../app');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, isLevelEnabled: () => false };
+
+// A stand-in for ./db that records whether the pool was closed
+const createFakeDb = () => {
+  const db = {
+    poolEnded: 0,
+    query: async () => ({ rows: [] }),
+    pool: {
+      end: async () => {
+        db.poolEnded++;
+      }
+    }
+  };
+  return db;
+};
+
+const start = (db) => startServer({
+  config: { ...configManager.getAppConfig(), port: 0, shutdownTimeoutMs: 5000 },
+  db,
+  logger: silentLogger
+});
+
+describe('startServer', () => {
+  it('serves the app on the chosen port', async () => {
+    const db = createFakeDb();
+    const { server, close } = await start(db);
+
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/health`);
+    assert.equal(res.status, 200);
+
+    await close();
+  });
+
+  it('finishes in-flight requests before closing the database pool', async () => {
+    const db = createFakeDb();
+    const { server, close } = await start(db);
+    let closed = null;
+
+    // Begin shutting down while a registration is being handled
+    server.once('request', () => {
+      closed = close();
+    });
+
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'drain@example.com', password: 'secret123' })
+    });
+    assert.equal(res.status, 201);
+
+    await closed;
+    assert.equal(server.listening, false);
+    assert.equal(db.poolEnded, 1);
+
+    // Repeated signals do not close the pool twice
+    await close();
+    assert.equal(db.poolEnded, 1);
+  });
+});
+
+describe('createApp', () => {
+  it('gives every app its own data store', async () => {
+    const other = createApp();
+    const { email, password } = await createUser();
+
+    await request(other).post('/api/v1/auth/login').send({ email, password }).expect(401);
+    await request(app).post('/api/v1/auth/login').send({ email, password }).expect(200);
+  });
+});
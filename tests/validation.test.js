@@ -0,0 +1,152 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, createUser, authHeader } = require('./helpers');
+const { validateSchema } = require('../src/utils/schema');
+const schemas = require('../src/schemas');
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      email: { type: 'string', format: 'email' },
+      newPassword: { type: 'string', minLength: 6 },
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      sort: { type: 'string', enum: ['asc', 'desc'] },
+      code: { type: 'string', 'x-messages': { type: 'Code must be text' } }
+    },
+    required: ['email'],
+    additionalProperties: false
+  };
+
+  it('accepts a valid value', () => {
+    const { errors } = validateSchema(schema, { email: 'a@example.com', newPassword: 'secret123', sort: 'asc' });
+
+    assert.deepEqual(errors, []);
+  });
+
+  it('reports every problem as { field, message }', () => {
+    const { errors } = validateSchema(schema, {
+      newPassword: 'abc',
+      limit: 500,
+      sort: 'sideways',
+      code: 123,
+      extra: true
+    });
+
+    assert.deepEqual(errors, [
+      { field: 'email', message: 'Email is required' },
+      { field: 'newPassword', message: 'New password must be at least 6 characters long' },
+      { field: 'limit', message: 'Limit must be between 1 and 100' },
+      { field: 'sort', message: 'Sort must be one of asc, desc' },
+      { field: 'code', message: 'Code must be text' },
+      { field: 'extra', message: 'Unknown field' }
+    ]);
+  });
+
+  it('coerces strings to the declared types only when asked', () => {
+    assert.equal(validateSchema(schema, { email: 'a@example.com', limit: '20' }, { coerce: true }).value.limit, 20);
+    assert.deepEqual(validateSchema(schema, { email: 'a@example.com', limit: '20' }).errors, [
+      { field: 'limit', message: 'Limit must be an integer' }
+    ]);
+  });
+
+  it('accepts ISO 8601 dates and date-times for format date-time', () => {
+    const dates = { type: 'object', properties: { from: { type: 'string', format: 'date-time' } } };
+
+    for (const from of ['2024-01-31', '2024-01-31T12:00:00Z', '2024-01-31T12:00:00.5+02:00']) {
+      assert.deepEqual(validateSchema(dates, { from }).errors, []);
+    }
+    for (const from of ['yesterday', '2024-13-45', 'Jan 31 2024']) {
+      assert.deepEqual(validateSchema(dates, { from }).errors, [{ field: 'from', message: 'From must be a valid ISO 8601 date' }]);
+    }
+  });
+
+  it('names nested fields by path', () => {
+    const nested = {
+      type: 'object',
+      properties: {
+        profile: { type: 'object', properties: { tags: { type: 'array', items: { type: 'string' } } } }
+      }
+    };
+
+    const { errors } = validateSchema(nested, { profile: { tags: ['ok', 7] } });
+
+    assert.deepEqual(errors, [{ field: 'profile.tags[1]', message: 'Tags must be a string' }]);
+  });
+
+  it('treats Object.prototype member names as unknown fields', () => {
+    const body = JSON.parse('{"email":"a@example.com","constructor":{},"toString":1,"__proto__":{"isAdmin":true}}');
+
+    const { errors, value } = validateSchema(schema, body);
+    assert.deepEqual(errors, [
+      { field: 'constructor', message: 'Unknown field' },
+      { field: 'toString', message: 'Unknown field' },
+      { field: '__proto__', message: 'Unknown field' }
+    ]);
+    assert.equal(Object.getPrototypeOf(value), Object.prototype);
+
+    const open = validateSchema({ type: 'object', properties: { email: { type: 'string' } } }, body).value;
+    assert.equal(Object.getPrototypeOf(open), Object.prototype);
+    assert.equal(open.isAdmin, undefined);
+  });
+});
+
+describe('request validation', () => {
+  it('rejects unknown body fields', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'someone@example.com', password: 'secret123', isAdmin: true })
+      .expect(400);
+
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(res.body.errors, [{ field: 'isAdmin', message: 'Unknown field' }]);
+  });
+
+  it('checks password rules on registration', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'short@example.com', password: '123' })
+      .expect(400);
+
+    assert.deepEqual(res.body.errors, [
+      { field: 'password', message: 'Password must be at least 6 characters long' }
+    ]);
+  });
+
+  it('validates query strings as typed values', async () => {
+    const { accessToken } = await createUser();
+
+    await request(app).get('/api/auth/activity?page=1&limit=5').set(authHeader(accessToken)).expect(200);
+
+    const res = await request(app).get('/api/auth/activity?page=zero').set(authHeader(accessToken)).expect(400);
+    assert.deepEqual(res.body.errors, [{ field: 'page', message: 'Page must be a positive integer' }]);
+  });
+
+  it('rejects Object.prototype member names in a body', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .set('Content-Type', 'application/json')
+      .send('{"email":"proto@example.com","password":"secret123","constructor":{"prototype":{}},"__proto__":{"isAdmin":true}}')
+      .expect(400);
+
+    assert.deepEqual(res.body.errors, [
+      { field: 'constructor', message: 'Unknown field' },
+      { field: '__proto__', message: 'Unknown field' }
+    ]);
+  });
+
+  it('rejects a body that is not an object', async () => {
+    const res = await request(app).post('/api/auth/login').send(['not', 'an', 'object']).expect(400);
+
+    assert.deepEqual(res.body.errors, [{ field: 'body', message: 'Request body must be an object' }]);
+  });
+});
+
+describe('GET /api/schemas', () => {
+  it('publishes the route schemas', async () => {
+    const res = await request(app).get('/api/schemas').expect(200);
+
+    assert.deepEqual(res.body, JSON.parse(JSON.stringify(schemas)));
+    assert.deepEqual(res.body.auth.register.body.required, ['email', 'password']);
+  });
+});